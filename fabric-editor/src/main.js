@@ -1,10 +1,20 @@
 import * as fabric from 'fabric';
+import { AssetStore } from './modules/AssetStore.js';
 import { HistoryManager } from './modules/HistoryManager.js';
 import { ToolsManager } from './modules/ToolsManager.js';
 import { PropertiesManager } from './modules/PropertiesManager.js';
 import { FilterManager } from './modules/FilterManager.js';
+import { FilterRenderManager } from './modules/FilterRenderManager.js';
+import { CurvesManager } from './modules/CurvesManager.js';
+import { PresetManager } from './modules/PresetManager.js';
+import { ChromaKeyManager } from './modules/ChromaKeyManager.js';
+import { CompareManager } from './modules/CompareManager.js';
 import { CropManager } from './modules/CropManager.js';
+import { MaskManager } from './modules/MaskManager.js';
+import { PathEditManager } from './modules/PathEditManager.js';
+import { ShapeManager } from './modules/ShapeManager.js';
 import { IOManager } from './modules/IOManager.js';
+import { AutosaveManager } from './modules/AutosaveManager.js';
 
 /**
  * Fabric Image Editor - 主编辑器类
@@ -36,6 +46,9 @@ class FabricEditor {
     // 添加Toast容器
     this.createToastContainer();
 
+    // 启动自动保存，并检查是否有可恢复的工作
+    await this.autosave.init();
+
     console.log('Fabric Editor initialized');
   }
 
@@ -69,12 +82,22 @@ class FabricEditor {
   }
 
   setupManagers() {
+    this.assets = new AssetStore();
     this.history = new HistoryManager(this);
     this.tools = new ToolsManager(this);
     this.properties = new PropertiesManager(this);
     this.filterManager = new FilterManager(this);
+    this.filterRenderer = new FilterRenderManager(this);
+    this.curves = new CurvesManager(this);
+    this.presets = new PresetManager(this);
+    this.chromaKey = new ChromaKeyManager(this);
+    this.compare = new CompareManager(this);
     this.cropManager = new CropManager(this);
+    this.masks = new MaskManager(this);
+    this.pathEditor = new PathEditManager(this);
+    this.shapes = new ShapeManager(this);
     this.io = new IOManager(this);
+    this.autosave = new AutosaveManager(this);
   }
 
   setupZoomControls() {
@@ -162,6 +185,15 @@ class FabricEditor {
   }
 
   resizeCanvas(width, height) {
+    this.setCanvasSize(width, height);
+    this.history.saveState();
+    this.showToast(`画布尺寸已调整为 ${this.canvasWidth} × ${this.canvasHeight}`, 'success');
+  }
+
+  /**
+   * 设置画布尺寸（不记录历史）
+   */
+  setCanvasSize(width, height) {
     this.canvasWidth = Math.max(100, Math.min(4000, width));
     this.canvasHeight = Math.max(100, Math.min(4000, height));
 
@@ -174,13 +206,39 @@ class FabricEditor {
     wrapper.style.width = `${this.canvasWidth}px`;
     wrapper.style.height = `${this.canvasHeight}px`;
 
+    // 同步尺寸输入框（撤销或加载项目时尺寸可能被外部修改）
+    const widthInput = document.getElementById('canvas-width');
+    const heightInput = document.getElementById('canvas-height');
+    if (widthInput) widthInput.value = this.canvasWidth;
+    if (heightInput) heightInput.value = this.canvasHeight;
+
     this.canvas.renderAll();
-    this.history.saveState();
-    this.showToast(`画布尺寸已调整为 ${this.canvasWidth} × ${this.canvasHeight}`, 'success');
+  }
+
+  /**
+   * 同步背景颜色输入框
+   */
+  syncBackgroundInput() {
+    const input = document.getElementById('canvas-bg-color');
+    const color = this.canvas.backgroundColor;
+    if (input && typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) {
+      input.value = color;
+    }
+  }
+
+  /**
+   * 按键是否发生在输入框、下拉框或可编辑区域中
+   */
+  isTypingTarget(target) {
+    if (!(target instanceof HTMLElement)) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
   }
 
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
+      // 在输入框中输入时不处理快捷键
+      if (this.isTypingTarget(e.target)) return;
+
       // 如果正在编辑文本，不处理快捷键
       const activeObject = this.canvas.getActiveObject();
       if (activeObject && activeObject.isEditing) return;
@@ -203,10 +261,14 @@ class FabricEditor {
         this.io.saveAsJSON();
       }
 
-      // Delete/Backspace: 删除选中对象
+      // Delete/Backspace: 删除选中对象（编辑路径节点时删除选中的节点）
       if ((e.key === 'Delete' || e.key === 'Backspace') && activeObject) {
         e.preventDefault();
-        this.properties.deleteSelected();
+        if (this.pathEditor.hasSelectedAnchor()) {
+          this.pathEditor.deleteAnchor();
+        } else {
+          this.properties.deleteSelected();
+        }
       }
 
       // Ctrl/Cmd + A: 全选
@@ -247,6 +309,9 @@ class FabricEditor {
           case 'p':
             this.tools.setTool('pencil');
             break;
+          case 'n':
+            this.tools.setTool('pen');
+            break;
           case 'e':
             this.tools.setTool('eraser');
             break;
@@ -259,6 +324,21 @@ class FabricEditor {
           case 't':
             this.tools.setTool('triangle');
             break;
+          case 'u':
+            this.tools.setTool('roundRect');
+            break;
+          case 'g':
+            this.tools.setTool('polygon');
+            break;
+          case 's':
+            this.tools.setTool('star');
+            break;
+          case 'd':
+            this.tools.setTool('diamond');
+            break;
+          case 'o':
+            this.tools.setTool('callout');
+            break;
           case 'l':
             this.tools.setTool('line');
             break;
@@ -274,6 +354,13 @@ class FabricEditor {
           case 'k':
             this.tools.setTool('crop');
             break;
+          case 'm':
+            this.tools.setTool('redact');
+            break;
+          case '\\':
+            // 按住反斜杠临时显示原图
+            this.compare.setHolding(true);
+            break;
           case ' ':
             // 空格键临时切换到抓手工具
             if (this.tools.currentTool !== 'hand') {
@@ -291,6 +378,10 @@ class FabricEditor {
         this.tools.setTool(this.previousTool);
         this.previousTool = null;
       }
+
+      if (e.key === '\\') {
+        this.compare.setHolding(false);
+      }
     });
   }
 
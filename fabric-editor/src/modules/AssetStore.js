@@ -0,0 +1,163 @@
+/**
+ * 计算字符串的 53 位哈希（cyrb53）
+ */
+function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+// 序列化数据中 src 需要存入资源库的类型：图片对象与 3D LUT 滤镜
+const ASSET_TYPES = ['Image', 'image', 'Lut3D'];
+
+/**
+ * 判断序列化数据是否引用了资源
+ */
+function isAssetData(value) {
+  return ASSET_TYPES.includes(value.type) && typeof value.src === 'string';
+}
+
+/**
+ * Asset Store - 图片资源库
+ *
+ * 按内容哈希保存图片 src，序列化数据中的图片只引用资源ID，
+ * 同一张图片在历史记录和项目文件中只存储一次。LUT 滤镜的数据也按同样方式保存。
+ */
+export class AssetStore {
+  constructor() {
+    this.assets = new Map();       // 资源ID -> src
+    this.idsBySource = new Map();  // src -> 资源ID
+  }
+
+  /**
+   * 登记图片 src，返回资源ID（相同内容返回相同ID）
+   */
+  register(src) {
+    const known = this.idsBySource.get(src);
+    if (known) return known;
+
+    const baseId = `img_${hashString(src).toString(36)}${src.length.toString(36)}`;
+
+    // 哈希冲突：不同内容得到相同ID时加序号区分，不能覆盖已有资源
+    let id = baseId;
+    for (let i = 1; this.assets.has(id) && this.assets.get(id) !== src; i++) {
+      id = `${baseId}_${i}`;
+    }
+
+    this.assets.set(id, src);
+    this.idsBySource.set(src, id);
+    return id;
+  }
+
+  /**
+   * 根据资源ID取回 src
+   */
+  resolve(id) {
+    return this.assets.get(id);
+  }
+
+  has(id) {
+    return this.assets.has(id);
+  }
+
+  /**
+   * 将序列化数据中的图片与 LUT 的 src 替换为资源ID（原地修改）
+   */
+  dehydrate(data) {
+    if (Array.isArray(data)) {
+      data.forEach(item => this.dehydrate(item));
+    } else if (data && typeof data === 'object') {
+      if (isAssetData(data)) {
+        data.assetId = this.register(data.src);
+        delete data.src;
+      }
+      Object.values(data).forEach(value => {
+        if (value && typeof value === 'object') this.dehydrate(value);
+      });
+    }
+    return data;
+  }
+
+  /**
+   * 返回将资源ID还原为 src 的数据副本
+   */
+  hydrate(data) {
+    const copy = structuredClone(data);
+    this._hydrateInPlace(copy);
+    return copy;
+  }
+
+  _hydrateInPlace(data) {
+    if (Array.isArray(data)) {
+      data.forEach(item => this._hydrateInPlace(item));
+    } else if (data && typeof data === 'object') {
+      if (data.assetId !== undefined) {
+        const src = this.resolve(data.assetId);
+        if (src === undefined) {
+          throw new Error(`缺少图片资源: ${data.assetId}`);
+        }
+        data.src = src;
+        delete data.assetId;
+      }
+      Object.values(data).forEach(value => {
+        if (value && typeof value === 'object') this._hydrateInPlace(value);
+      });
+    }
+  }
+
+  /**
+   * 收集数据中引用的资源ID
+   */
+  collectIds(data, ids = new Set()) {
+    if (Array.isArray(data)) {
+      data.forEach(item => this.collectIds(item, ids));
+    } else if (data && typeof data === 'object') {
+      if (typeof data.assetId === 'string') ids.add(data.assetId);
+      Object.values(data).forEach(value => {
+        if (value && typeof value === 'object') this.collectIds(value, ids);
+      });
+    }
+    return ids;
+  }
+
+  /**
+   * 导出指定资源（用于项目文件）
+   */
+  export(ids) {
+    const result = {};
+    ids.forEach(id => {
+      const src = this.assets.get(id);
+      if (src !== undefined) result[id] = src;
+    });
+    return result;
+  }
+
+  /**
+   * 导入项目文件中的资源
+   */
+  import(assets) {
+    Object.entries(assets || {}).forEach(([id, src]) => {
+      if (typeof src !== 'string') return;
+      this.assets.set(id, src);
+      this.idsBySource.set(src, id);
+    });
+  }
+
+  /**
+   * 释放不再被引用的资源
+   */
+  prune(usedIds) {
+    this.assets.forEach((src, id) => {
+      if (usedIds.has(id)) return;
+      this.assets.delete(id);
+      this.idsBySource.delete(src);
+    });
+  }
+}
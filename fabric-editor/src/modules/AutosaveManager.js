@@ -0,0 +1,494 @@
+const DB_NAME = 'fabric-editor';
+const DB_VERSION = 1;
+const PROJECT_STORE = 'projects';
+const ASSET_STORE = 'assets';
+
+/**
+ * 将 IDBRequest 包装为 Promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 等待事务完成
+ */
+function promisifyTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * 打开（必要时创建）本地数据库
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+        const store = db.createObjectStore(PROJECT_STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      }
+      if (!db.objectStoreNames.contains(ASSET_STORE)) {
+        db.createObjectStore(ASSET_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Autosave Manager - 自动保存与崩溃恢复
+ *
+ * 项目场景与图片资源分开存入 IndexedDB，资源按ID去重，
+ * 每次自动保存只写入新增的图片。撤销/重做记录随项目一起保存，恢复后仍可撤销。
+ */
+export class AutosaveManager {
+  constructor(editor, options = {}) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.db = null;
+    this.projectId = this.createProjectId();
+    this.projectName = '未命名项目';
+    this.createdAt = null;
+    this.isDirty = false;           // 有尚未写入数据库的修改
+    this.hasUnsavedChanges = false; // 有尚未保存到项目文件的修改
+    this.isSaving = false;
+    this.hasQueuedSave = false;     // 保存期间又请求了保存
+    this.hasPendingSave = false;    // 裁剪期间推迟的保存
+    this.persistedAssets = new Set();
+
+    this.interval = options.interval || 30000;    // 定时保存间隔
+    this.debounceDelay = options.debounceDelay || 2000; // 修改后延迟保存
+    this.maxProjects = options.maxProjects || 10;  // 最近项目数量上限
+
+    this.debounceTimer = null;
+    this.intervalTimer = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('recent-projects-btn')?.addEventListener('click', () => {
+      this.showRecentProjects();
+    });
+
+    document.getElementById('close-recent-modal')?.addEventListener('click', () => {
+      this.hideModal('recent-modal');
+    });
+
+    // 页面隐藏或关闭时写入最新状态：saveNow 在同步阶段就提交数据库事务，页面卸载后事务仍会完成
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.saveNow();
+    });
+    window.addEventListener('pagehide', () => this.saveNow());
+  }
+
+  /**
+   * 打开数据库、检查可恢复的工作并启动定时保存
+   */
+  async init() {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('当前环境不支持 IndexedDB，自动保存已禁用');
+      return;
+    }
+
+    try {
+      this.db = await openDatabase();
+    } catch (error) {
+      console.error('打开本地数据库失败:', error);
+      return;
+    }
+
+    await this.checkRecovery();
+
+    this.intervalTimer = setInterval(() => {
+      if (this.isDirty) this.saveNow();
+    }, this.interval);
+  }
+
+  createProjectId() {
+    return `project_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * 标记项目有未保存的修改（由历史记录在每次变更后调用）
+   */
+  markDirty() {
+    this.isDirty = true;
+    this.hasUnsavedChanges = true;
+
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+    }
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      this.saveNow();
+    }, this.debounceDelay);
+  }
+
+  /**
+   * 开始一个新的本地项目记录（例如从文件打开项目后）
+   */
+  startNewProject(name) {
+    this.projectId = this.createProjectId();
+    this.projectName = name || '未命名项目';
+    this.createdAt = null;
+    this.isDirty = true;
+    this.hasUnsavedChanges = false;
+    this.saveNow();
+  }
+
+  /**
+   * 项目已导出到文件，清除“未保存”标记
+   */
+  markSaved() {
+    this.isDirty = true;
+    this.hasUnsavedChanges = false;
+    this.saveNow();
+  }
+
+  /**
+   * 立即写入当前项目
+   * 在第一个 await 之前同步发起写入事务，页面关闭时调用也能保存
+   */
+  async saveNow() {
+    if (!this.db || !this.isDirty) return;
+
+    // 裁剪过程中图片临时展开，等应用或取消裁剪后再保存
+    if (this.editor.cropManager?.isInCropMode()) {
+      this.hasPendingSave = true;
+      return;
+    }
+
+    // 正在保存时排队，当前保存完成后立即再保存一次
+    if (this.isSaving) {
+      this.hasQueuedSave = true;
+      return;
+    }
+    this.hasPendingSave = false;
+
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = null;
+    }
+
+    this.isSaving = true;
+    this.isDirty = false;
+    let saved = false;
+
+    try {
+      const { assets, ...scene } = this.editor.io.serializeProject();
+      const history = this.editor.history.exportStacks();
+      // 历史记录中已删除的图片也要保存，撤销时才能还原
+      Object.assign(assets, this.editor.assets.export(this.editor.assets.collectIds(history)));
+      const now = Date.now();
+      this.createdAt = this.createdAt || now;
+
+      const record = {
+        id: this.projectId,
+        name: this.projectName,
+        createdAt: this.createdAt,
+        updatedAt: now,
+        hasUnsavedChanges: this.hasUnsavedChanges,
+        objectCount: scene.objects.length,
+        thumbnail: this.createThumbnail(),
+        assetIds: Object.keys(assets),
+        scene,
+        history
+      };
+
+      const tx = this.db.transaction([PROJECT_STORE, ASSET_STORE], 'readwrite');
+      const assetStore = tx.objectStore(ASSET_STORE);
+      Object.entries(assets).forEach(([id, src]) => {
+        if (this.persistedAssets.has(id)) return;
+        assetStore.put({ id, src });
+      });
+      tx.objectStore(PROJECT_STORE).put(record);
+      tx.commit?.();
+      await promisifyTransaction(tx);
+
+      record.assetIds.forEach(id => this.persistedAssets.add(id));
+      saved = true;
+    } catch (error) {
+      // 保存失败时保留脏标记，等待下一次重试
+      this.isDirty = true;
+      console.error('自动保存失败:', error);
+    } finally {
+      this.isSaving = false;
+    }
+
+    if (this.hasQueuedSave) {
+      // 排队的保存（如页面隐藏时）立即开始，不等待防抖
+      this.hasQueuedSave = false;
+      this.saveNow();
+    } else if (saved && this.isDirty && !this.debounceTimer) {
+      // 保存期间又有新的修改，稍后再保存一次
+      this.debounceTimer = setTimeout(() => {
+        this.debounceTimer = null;
+        this.saveNow();
+      }, this.debounceDelay);
+    }
+
+    if (saved) {
+      try {
+        await this.pruneProjects();
+      } catch (error) {
+        console.error('清理本地项目失败:', error);
+      }
+    }
+  }
+
+  /**
+   * 裁剪结束后补存裁剪期间推迟的自动保存
+   */
+  flushPendingSave() {
+    if (this.hasPendingSave) this.saveNow();
+  }
+
+  /**
+   * 生成项目缩略图
+   */
+  createThumbnail() {
+    try {
+      return this.canvas.toDataURL({
+        format: 'jpeg',
+        quality: 0.6,
+        multiplier: Math.min(1, 160 / this.canvas.getWidth())
+      });
+    } catch (error) {
+      // 跨域图片会污染画布，此时不生成缩略图
+      console.warn('生成缩略图失败:', error);
+      return '';
+    }
+  }
+
+  async getProject(id) {
+    const tx = this.db.transaction(PROJECT_STORE, 'readonly');
+    return promisifyRequest(tx.objectStore(PROJECT_STORE).get(id));
+  }
+
+  async putProject(record) {
+    const tx = this.db.transaction(PROJECT_STORE, 'readwrite');
+    tx.objectStore(PROJECT_STORE).put(record);
+    await promisifyTransaction(tx);
+  }
+
+  /**
+   * 按更新时间倒序列出本地项目
+   */
+  async listProjects() {
+    if (!this.db) return [];
+    const tx = this.db.transaction(PROJECT_STORE, 'readonly');
+    const records = await promisifyRequest(tx.objectStore(PROJECT_STORE).getAll());
+    return records.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * 删除超出数量上限的旧项目，并清理不再引用的图片资源
+   */
+  async pruneProjects() {
+    const projects = await this.listProjects();
+    const stale = projects.slice(this.maxProjects);
+    if (stale.length === 0) return;
+
+    await this.deleteProjects(stale.map(project => project.id), projects.slice(0, this.maxProjects));
+  }
+
+  async deleteProjects(ids, remaining) {
+    const usedAssets = new Set();
+    remaining.forEach(project => project.assetIds.forEach(id => usedAssets.add(id)));
+
+    const tx = this.db.transaction([PROJECT_STORE, ASSET_STORE], 'readwrite');
+    ids.forEach(id => tx.objectStore(PROJECT_STORE).delete(id));
+
+    const assetStore = tx.objectStore(ASSET_STORE);
+    const assetIds = await promisifyRequest(assetStore.getAllKeys());
+    assetIds.forEach(id => {
+      if (usedAssets.has(id)) return;
+      assetStore.delete(id);
+      this.persistedAssets.delete(id);
+    });
+
+    await promisifyTransaction(tx);
+  }
+
+  /**
+   * 读取项目记录并还原为可加载的项目数据
+   */
+  async readProjectData(record) {
+    const tx = this.db.transaction(ASSET_STORE, 'readonly');
+    const store = tx.objectStore(ASSET_STORE);
+    const entries = await Promise.all(record.assetIds.map(id => promisifyRequest(store.get(id))));
+
+    const assets = {};
+    entries.forEach(entry => {
+      if (entry) assets[entry.id] = entry.src;
+    });
+
+    return { ...record.scene, assets };
+  }
+
+  /**
+   * 打开本地项目
+   */
+  async openProject(id) {
+    try {
+      const record = await this.getProject(id);
+      if (!record) {
+        this.editor.showToast('项目不存在或已被删除', 'error');
+        return;
+      }
+
+      const data = await this.readProjectData(record);
+      await this.editor.io.loadProject(data);
+      if (record.history) {
+        this.editor.history.restoreStacks(record.history, data.assets);
+      }
+
+      this.projectId = record.id;
+      this.projectName = record.name;
+      this.createdAt = record.createdAt;
+      this.isDirty = false;
+      this.hasUnsavedChanges = record.hasUnsavedChanges;
+      record.assetIds.forEach(assetId => this.persistedAssets.add(assetId));
+
+      this.editor.showToast(`已打开 ${record.name}`, 'success');
+    } catch (error) {
+      console.error('打开本地项目失败:', error);
+      this.editor.showToast('打开本地项目失败', 'error');
+    }
+  }
+
+  /**
+   * 启动时检查是否有未保存的工作
+   */
+  async checkRecovery() {
+    let projects;
+    try {
+      projects = await this.listProjects();
+    } catch (error) {
+      console.error('读取自动保存记录失败:', error);
+      return;
+    }
+
+    const unsaved = projects.find(project => project.hasUnsavedChanges && project.objectCount > 0);
+    if (!unsaved) return;
+
+    const modal = document.getElementById('recovery-modal');
+    if (!modal) return;
+
+    const info = document.getElementById('recovery-info');
+    if (info) {
+      info.textContent = `${unsaved.name} · ${new Date(unsaved.updatedAt).toLocaleString()}`;
+    }
+    const thumbnail = document.getElementById('recovery-thumbnail');
+    if (thumbnail) thumbnail.src = unsaved.thumbnail || '';
+
+    modal.classList.remove('hidden');
+
+    const recoverBtn = document.getElementById('confirm-recovery');
+    const discardBtn = document.getElementById('discard-recovery');
+
+    recoverBtn.onclick = () => {
+      this.hideModal('recovery-modal');
+      this.openProject(unsaved.id);
+    };
+
+    discardBtn.onclick = async () => {
+      this.hideModal('recovery-modal');
+      // 不恢复：保留在最近项目中，但不再提示
+      unsaved.hasUnsavedChanges = false;
+      try {
+        await this.putProject(unsaved);
+      } catch (error) {
+        console.error('更新自动保存记录失败:', error);
+      }
+    };
+  }
+
+  /**
+   * 显示最近项目列表
+   */
+  async showRecentProjects() {
+    const list = document.getElementById('recent-projects-list');
+    if (!list) return;
+
+    if (!this.db) {
+      this.editor.showToast('当前浏览器不支持本地保存', 'error');
+      return;
+    }
+
+    // 先保存当前工作，列表中才能看到最新状态
+    await this.saveNow();
+    const projects = await this.listProjects();
+
+    list.innerHTML = '';
+
+    if (projects.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'hint';
+      empty.textContent = '暂无本地项目';
+      list.appendChild(empty);
+    }
+
+    projects.forEach(project => {
+      const item = document.createElement('div');
+      item.className = 'recent-project';
+      if (project.id === this.projectId) item.classList.add('current');
+
+      const thumbnail = document.createElement('img');
+      thumbnail.src = project.thumbnail || '';
+      thumbnail.alt = '';
+
+      const info = document.createElement('div');
+      info.className = 'recent-project-info';
+      const name = document.createElement('span');
+      name.className = 'recent-project-name';
+      name.textContent = project.name;
+      const time = document.createElement('span');
+      time.className = 'recent-project-time';
+      time.textContent = new Date(project.updatedAt).toLocaleString();
+      info.append(name, time);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'close-btn';
+      deleteBtn.title = '删除';
+      deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+      deleteBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await this.deleteProjects([project.id], projects.filter(p => p.id !== project.id));
+        if (project.id === this.projectId) {
+          // 当前项目被删除后，后续修改保存为新的记录
+          this.projectId = this.createProjectId();
+          this.createdAt = null;
+        }
+        this.showRecentProjects();
+      });
+
+      item.append(thumbnail, info, deleteBtn);
+      item.addEventListener('click', () => {
+        this.hideModal('recent-modal');
+        if (project.id !== this.projectId) {
+          this.openProject(project.id);
+        }
+      });
+
+      list.appendChild(item);
+    });
+
+    document.getElementById('recent-modal')?.classList.remove('hidden');
+  }
+
+  hideModal(id) {
+    document.getElementById(id)?.classList.add('hidden');
+  }
+}
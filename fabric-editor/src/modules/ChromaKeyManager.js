@@ -0,0 +1,311 @@
+import * as fabric from 'fabric';
+import { ChromaKey, RemoveBackground } from './ImageFilters.js';
+
+/**
+ * 根据抠图设置生成滤镜（null 表示不抠图）
+ */
+export function createKeyFilter(key) {
+  if (!key) return null;
+  if (key.mode === 'flood') {
+    return new RemoveBackground({ seeds: key.seeds, tolerance: key.tolerance, feather: key.feather });
+  }
+  return new ChromaKey({ color: key.color, distance: key.tolerance, feather: key.feather });
+}
+
+/**
+ * 从滤镜读取抠图设置，不是抠图滤镜时返回 undefined
+ * Fabric 自带的 RemoveColor 视为没有羽化的颜色抠图
+ */
+export function readKeyFilter(filter) {
+  if (filter.type === 'ChromaKey' || filter.type === 'RemoveColor') {
+    return {
+      mode: 'color',
+      color: filter.color,
+      tolerance: filter.distance,
+      feather: filter.feather || 0,
+      seeds: []
+    };
+  }
+  if (filter.type === 'RemoveBackground') {
+    return {
+      mode: 'flood',
+      color: ChromaKey.defaults.color,
+      tolerance: filter.tolerance,
+      feather: filter.feather,
+      seeds: filter.seeds.map(([x, y]) => [x, y])
+    };
+  }
+  return undefined;
+}
+
+/**
+ * Chroma Key Manager - 抠图
+ *
+ * 颜色模式去除与关键色相近的所有像素，连续区域模式只去除与背景点相连的区域。
+ * 抠图作为滤镜保存在图片上，由 FilterManager 放在滤镜列表的最前面，随时可以调整或关闭。
+ */
+export class ChromaKeyManager {
+  // 连续区域模式默认从四个角开始填充
+  static CORNER_SEEDS = [[0, 0], [1, 1], [1, 0], [0, 1]];
+
+  constructor(editor) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.mode = null; // null | 'color' | 'flood'
+    this.color = ChromaKey.defaults.color;
+    this.tolerance = ChromaKey.defaults.distance;
+    this.feather = ChromaKey.defaults.feather;
+    this.seeds = [];
+    this.pickMode = null; // 正在画布上拾取：'color' 吸取关键色，'seed' 添加背景点
+    this.isMixed = false;
+
+    this.onPickPointerDown = this.onPickPointerDown.bind(this);
+    this.onPickPointerMove = (e) => e.stopPropagation();
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.querySelectorAll('[data-key-mode]').forEach(btn => {
+      btn.addEventListener('click', () => this.setMode(btn.dataset.keyMode || null));
+    });
+
+    document.getElementById('key-color')?.addEventListener('input', (e) => {
+      this.color = e.target.value;
+      this.apply();
+    });
+    document.getElementById('key-color')?.addEventListener('change', () => {
+      this.editor.filterManager.commitChange();
+    });
+
+    ['tolerance', 'feather'].forEach(key => {
+      const input = document.getElementById(`key-${key}`);
+      input?.addEventListener('input', (e) => {
+        this[key] = parseFloat(e.target.value);
+        this.isMixed = false;
+        this.syncInputs();
+        this.apply();
+      });
+      input?.addEventListener('change', () => {
+        this.editor.filterManager.commitChange();
+      });
+    });
+
+    document.getElementById('key-pick-btn')?.addEventListener('click', () => {
+      this.togglePicking('color');
+    });
+
+    document.getElementById('key-seed-btn')?.addEventListener('click', () => {
+      this.togglePicking('seed');
+    });
+
+    document.getElementById('key-clear-seeds-btn')?.addEventListener('click', () => {
+      this.seeds = [];
+      this.apply();
+      this.editor.filterManager.commitChange();
+    });
+
+    this.canvas.on('selection:cleared', () => this.stopPicking());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.pickMode) this.stopPicking();
+    });
+  }
+
+  /**
+   * 当前的抠图设置，未开启时返回 null
+   */
+  getSettings() {
+    if (!this.mode) return null;
+    return {
+      mode: this.mode,
+      color: this.color,
+      tolerance: this.tolerance,
+      feather: this.feather,
+      seeds: this.seeds.map(([x, y]) => [x, y])
+    };
+  }
+
+  /**
+   * 载入抠图设置（null 表示未开启）
+   */
+  setSettings(settings, isMixed = false) {
+    this.mode = settings?.mode || null;
+    if (settings) {
+      this.color = settings.color;
+      this.tolerance = settings.tolerance;
+      this.feather = settings.feather;
+      this.seeds = settings.seeds.map(([x, y]) => [x, y]);
+    } else {
+      this.seeds = [];
+    }
+    this.isMixed = isMixed;
+    if (!this.mode) this.stopPicking();
+    this.syncInputs();
+  }
+
+  reset() {
+    this.setSettings(null);
+  }
+
+  /**
+   * 切换抠图模式，开启时给出合适的初始值
+   */
+  setMode(mode) {
+    if (mode && this.editor.filterManager.getFilterTargets().length === 0) {
+      this.editor.showToast('请先选择图片', 'error');
+      return;
+    }
+
+    this.stopPicking();
+    this.mode = mode;
+    this.isMixed = false;
+
+    if (mode === 'color') {
+      // 默认以左上角的颜色作为关键色
+      const [image] = this.editor.filterManager.getFilterTargets();
+      this.color = this.samplePixel(image, 0, 0) || this.color;
+    } else if (mode === 'flood' && this.seeds.length === 0) {
+      this.seeds = ChromaKeyManager.CORNER_SEEDS.map(([x, y]) => [x, y]);
+    }
+
+    this.syncInputs();
+    this.apply();
+    this.editor.filterManager.commitChange();
+  }
+
+  apply() {
+    this.editor.filterManager.applyFilters('key');
+  }
+
+  syncInputs() {
+    document.querySelectorAll('[data-key-mode]').forEach(btn => {
+      btn.classList.toggle('active', !this.isMixed && (btn.dataset.keyMode || null) === this.mode);
+    });
+    document.getElementById('key-color-row')?.classList.toggle('hidden', this.mode !== 'color');
+    document.getElementById('key-flood-row')?.classList.toggle('hidden', this.mode !== 'flood');
+    document.getElementById('key-options')?.classList.toggle('hidden', !this.mode);
+
+    const colorInput = document.getElementById('key-color');
+    if (colorInput && /^#[0-9a-f]{6}$/i.test(this.color)) {
+      colorInput.value = this.color;
+    }
+
+    ['tolerance', 'feather'].forEach(key => {
+      const input = document.getElementById(`key-${key}`);
+      if (!input) return;
+      input.value = this[key];
+      input.classList.toggle('mixed', this.isMixed);
+      const valueSpan = input.parentElement.querySelector('.filter-value');
+      if (valueSpan) {
+        valueSpan.textContent = this.isMixed ? '—' : this[key].toFixed(2);
+      }
+    });
+
+    const seedCount = document.getElementById('key-seed-count');
+    if (seedCount) seedCount.textContent = `${this.seeds.length} 个背景点`;
+  }
+
+  /**
+   * 开始或结束在画布上拾取
+   * 拾取期间在画布之前截获鼠标事件，避免改变选择或移动对象
+   */
+  togglePicking(pickMode) {
+    if (this.pickMode === pickMode) {
+      this.stopPicking();
+      return;
+    }
+
+    this.stopPicking();
+    this.pickMode = pickMode;
+    this.canvas.wrapperEl.addEventListener('mousedown', this.onPickPointerDown, true);
+    this.canvas.wrapperEl.addEventListener('touchstart', this.onPickPointerDown, true);
+    this.canvas.wrapperEl.addEventListener('mousemove', this.onPickPointerMove, true);
+    this.canvas.setCursor('crosshair');
+    document.getElementById(pickMode === 'color' ? 'key-pick-btn' : 'key-seed-btn')?.classList.add('active');
+    this.editor.showToast(pickMode === 'color' ? '点击图片吸取要去除的颜色' : '点击图片中的背景区域，按 Esc 结束', 'info');
+  }
+
+  stopPicking() {
+    if (!this.pickMode) return;
+
+    this.pickMode = null;
+    this.canvas.wrapperEl.removeEventListener('mousedown', this.onPickPointerDown, true);
+    this.canvas.wrapperEl.removeEventListener('touchstart', this.onPickPointerDown, true);
+    this.canvas.wrapperEl.removeEventListener('mousemove', this.onPickPointerMove, true);
+    this.canvas.setCursor(this.canvas.defaultCursor);
+    document.getElementById('key-pick-btn')?.classList.remove('active');
+    document.getElementById('key-seed-btn')?.classList.remove('active');
+  }
+
+  onPickPointerDown(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const hit = this.findPixel(this.canvas.getScenePoint(e));
+    if (!hit) {
+      this.editor.showToast('请点击选中的图片', 'error');
+      return;
+    }
+
+    const { image, x, y } = hit;
+    const element = image._originalElement || image.getElement();
+    const width = element.naturalWidth || element.width;
+    const height = element.naturalHeight || element.height;
+
+    if (this.pickMode === 'color') {
+      const color = this.samplePixel(image, x, y);
+      if (color) this.color = color;
+      this.stopPicking();
+    } else {
+      this.seeds.push([(x + 0.5) / width, (y + 0.5) / height]);
+    }
+
+    this.isMixed = false;
+    this.syncInputs();
+    this.apply();
+    this.editor.filterManager.commitChange();
+  }
+
+  /**
+   * 找到点击位置所在的选中图片及其原图像素坐标
+   */
+  findPixel(point) {
+    for (const image of this.editor.filterManager.getFilterTargets().reverse()) {
+      const local = fabric.util.transformPoint(point, fabric.util.invertTransform(image.calcTransformMatrix()));
+      const x = Math.floor(local.x + image.width / 2 + (image.cropX || 0));
+      const y = Math.floor(local.y + image.height / 2 + (image.cropY || 0));
+      const element = image._originalElement || image.getElement();
+      const width = element.naturalWidth || element.width;
+      const height = element.naturalHeight || element.height;
+
+      if (Math.abs(local.x) <= image.width / 2 && Math.abs(local.y) <= image.height / 2 &&
+        x >= 0 && y >= 0 && x < width && y < height) {
+        return { image, x, y };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 读取原图（未应用滤镜）指定像素的颜色
+   */
+  samplePixel(image, x, y) {
+    const element = image?._originalElement || image?.getElement();
+    if (!element) return null;
+
+    try {
+      const sample = document.createElement('canvas');
+      sample.width = 1;
+      sample.height = 1;
+      const ctx = sample.getContext('2d');
+      ctx.drawImage(element, x, y, 1, 1, 0, 0, 1, 1);
+      const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+      return `#${new fabric.Color([r, g, b]).toHex().toLowerCase()}`;
+    } catch (error) {
+      // 跨域图片无法读取像素
+      console.warn('无法读取图片颜色:', error);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,203 @@
+import * as fabric from 'fabric';
+
+/**
+ * Compare Manager - 滤镜前后对比
+ *
+ * 分屏模式下分隔线左侧显示原图、右侧显示调整后的效果；
+ * 按住对比按钮（或 \ 键）时整张图片临时显示原图。
+ * 只在画布渲染期间替换图片绘制用的元素，不修改滤镜列表，也不产生历史记录，
+ * 导出和缩略图等离屏渲染不受影响。
+ */
+export class CompareManager {
+  static DIVIDER_COLOR = '#ffffff';
+  static DIVIDER_SHADOW = 'rgba(0, 0, 0, 0.6)';
+
+  constructor(editor) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.isSplit = false;
+    this.splitPosition = 0.5; // 分隔线位置（占图片宽度的比例）
+    this.isHolding = false;
+    this.composites = new WeakMap(); // 图片 -> 对比用的合成画布及生成时的条件
+    this.swapped = [];               // 本次渲染中替换了元素的图片
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('compare-split-btn')?.addEventListener('click', () => {
+      this.setSplit(!this.isSplit);
+    });
+
+    document.getElementById('compare-position')?.addEventListener('input', (e) => {
+      this.setSplitPosition(parseFloat(e.target.value) / 100);
+    });
+
+    // 按住显示原图，松开恢复
+    const holdBtn = document.getElementById('compare-hold-btn');
+    if (holdBtn) {
+      holdBtn.addEventListener('pointerdown', (e) => {
+        holdBtn.setPointerCapture?.(e.pointerId);
+        this.setHolding(true);
+      });
+      ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(eventName => {
+        holdBtn.addEventListener(eventName, () => this.setHolding(false));
+      });
+    }
+
+    // 窗口失去焦点时可能收不到松开事件
+    window.addEventListener('blur', () => this.setHolding(false));
+
+    this.canvas.on('before:render', ({ ctx }) => this.swapElements(ctx));
+    this.canvas.on('after:render', ({ ctx }) => {
+      this.restoreElements();
+      if (ctx === this.canvas.getContext()) this.renderDividers(ctx);
+    });
+  }
+
+  isActive() {
+    return this.isSplit || this.isHolding;
+  }
+
+  setSplit(enabled) {
+    this.isSplit = enabled;
+    document.getElementById('compare-split-btn')?.classList.toggle('active', enabled);
+    document.getElementById('compare-position-row')?.classList.toggle('hidden', !enabled);
+    this.refresh();
+  }
+
+  setSplitPosition(position) {
+    this.splitPosition = Math.min(1, Math.max(0, position));
+    const input = document.getElementById('compare-position');
+    if (input) input.value = Math.round(this.splitPosition * 100);
+    if (this.isSplit) this.refresh();
+  }
+
+  setHolding(holding) {
+    if (this.isHolding === holding) return;
+    this.isHolding = holding;
+    document.getElementById('compare-hold-btn')?.classList.toggle('active', holding);
+    this.refresh();
+  }
+
+  /**
+   * 需要对比的图片：选中的、带有滤镜效果的图片
+   */
+  getTargets() {
+    if (this.editor.cropManager?.isInCropMode()) return [];
+    return this.editor.filterManager.getFilterTargets()
+      .filter(image => image._originalElement && image._element && image._element !== image._originalElement);
+  }
+
+  refresh() {
+    this.getTargets().forEach(image => this.invalidate(image));
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * 让图片及其所在组合的缓存重新绘制
+   */
+  invalidate(image) {
+    image.set('dirty', true);
+    this.editor.filterManager.markParentsDirty(image);
+  }
+
+  /**
+   * 获取对比用的画布：与滤镜结果同尺寸，分隔线左侧（按住时为整张）绘制原图
+   * 只在滤镜结果、滤镜设置或分隔线位置变化时重新绘制
+   */
+  getComposite(image) {
+    const filtered = image._element;
+    const original = image._originalElement;
+
+    // 分隔线在图片显示区域内的位置，换算到滤镜结果的像素坐标
+    const scaleX = filtered.width / (original.naturalWidth || original.width);
+    const position = this.isHolding ? 1 : this.splitPosition;
+    const splitX = ((image.cropX || 0) + image.width * position) * scaleX;
+
+    // 滤镜结果画布会被复用，内容是否变化以滤镜设置判断
+    const renderer = this.editor.filterRenderer;
+    const signature = [
+      filtered.width, filtered.height, splitX,
+      renderer.getSignature(renderer.getActiveFilters(image))
+    ].join('|');
+
+    let cache = this.composites.get(image);
+    if (cache && cache.filtered === filtered && cache.original === original && cache.signature === signature) {
+      return cache.composite;
+    }
+    if (!cache) {
+      cache = { composite: document.createElement('canvas') };
+      this.composites.set(image, cache);
+    }
+    Object.assign(cache, { filtered, original, signature });
+
+    const composite = cache.composite;
+    composite.width = filtered.width;
+    composite.height = filtered.height;
+
+    const ctx = composite.getContext('2d');
+    ctx.drawImage(filtered, 0, 0);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, splitX, composite.height);
+    ctx.clip();
+    ctx.clearRect(0, 0, splitX, composite.height);
+    ctx.drawImage(original, 0, 0, composite.width, composite.height);
+    ctx.restore();
+    return composite;
+  }
+
+  /**
+   * 渲染画布前把选中图片的绘制元素替换为对比画布
+   */
+  swapElements(ctx) {
+    if (!this.isActive() || ctx !== this.canvas.getContext()) return;
+
+    this.getTargets().forEach(image => {
+      this.swapped.push({ image, element: image._element });
+      image._element = this.getComposite(image);
+      this.invalidate(image);
+    });
+  }
+
+  /**
+   * 渲染结束后还原图片元素，缓存标记为需要重绘，避免对比画面残留到导出结果
+   */
+  restoreElements() {
+    this.swapped.forEach(({ image, element }) => {
+      image._element = element;
+      this.invalidate(image);
+    });
+    this.swapped = [];
+  }
+
+  /**
+   * 在分屏的图片上绘制分隔线
+   */
+  renderDividers(ctx) {
+    if (!this.isSplit || this.isHolding) return;
+
+    const zoom = this.canvas.getZoom();
+    ctx.save();
+    ctx.transform(...this.canvas.viewportTransform);
+    ctx.lineWidth = 2 / zoom;
+    ctx.strokeStyle = CompareManager.DIVIDER_COLOR;
+    ctx.shadowColor = CompareManager.DIVIDER_SHADOW;
+    ctx.shadowBlur = 4;
+
+    this.getTargets().forEach(image => {
+      const matrix = image.calcTransformMatrix();
+      const x = image.width * (this.splitPosition - 0.5);
+      const top = fabric.util.transformPoint({ x, y: -image.height / 2 }, matrix);
+      const bottom = fabric.util.transformPoint({ x, y: image.height / 2 }, matrix);
+
+      ctx.beginPath();
+      ctx.moveTo(top.x, top.y);
+      ctx.lineTo(bottom.x, bottom.y);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+}
@@ -1,4 +1,6 @@
 import * as fabric from 'fabric';
+import { getRectifiedSize, warpPerspective } from './PerspectiveWarp.js';
+import { bakeRedactions } from './ImageFilters.js';
 
 /**
  * Crop Manager - 图片裁剪管理（优化版）
@@ -11,6 +13,14 @@ export class CropManager {
     this.targetImage = null;
     this.isCropping = false;
     this.overlay = null;
+    this.aspectRatio = null; // 锁定的宽高比（宽/高），null 表示自由裁剪
+    this.showGrid = false;   // 拖动裁剪框时显示三分线
+    this.mode = 'rect';      // 裁剪模式：rect 矩形裁剪 / perspective 透视校正
+    this.perspectiveHandles = [];
+    this.reference = null;       // 拉直前图片的状态，裁剪框以它为坐标参考
+    this.straightenAngle = 0;    // 拉直角度（度）
+    this.levelLine = null;       // 正在绘制的水平参考线
+    this.isDrawingLevel = false;
 
     this.setupEventListeners();
   }
@@ -23,6 +33,114 @@ export class CropManager {
     document.getElementById('cancel-crop')?.addEventListener('click', () => {
       this.cancelCrop();
     });
+
+    // 裁剪模式
+    document.getElementById('crop-mode')?.addEventListener('change', (e) => {
+      this.setCropMode(e.target.value);
+    });
+
+    // 透视校正时绘制四边形轮廓
+    this.canvas.on('after:render', ({ ctx }) => this.renderPerspectiveOutline(ctx));
+
+    // 拉直
+    document.getElementById('crop-straighten')?.addEventListener('input', (e) => {
+      this.setStraighten(parseFloat(e.target.value));
+    });
+
+    document.getElementById('crop-level-btn')?.addEventListener('click', () => {
+      this.startLevelLine();
+    });
+
+    this.canvas.on('mouse:down', (opt) => this.onLevelMouseDown(opt));
+    this.canvas.on('mouse:move', (opt) => this.onLevelMouseMove(opt));
+    this.canvas.on('mouse:up', () => this.onLevelMouseUp());
+
+    // 裁剪框或透视控制点被其他操作删除时退出裁剪模式
+    this.canvas.on('object:removed', ({ target }) => {
+      if (this.isCropping && (target === this.cropRect || this.perspectiveHandles.includes(target))) {
+        this.cancelCrop();
+      }
+    });
+
+    // 裁剪比例
+    document.getElementById('crop-ratio')?.addEventListener('change', (e) => {
+      document.getElementById('crop-custom-ratio')?.classList.toggle('hidden', e.target.value !== 'custom');
+      this.setAspectRatio(this.readAspectRatio());
+    });
+
+    ['crop-ratio-width', 'crop-ratio-height'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        this.setAspectRatio(this.readAspectRatio());
+      });
+    });
+
+    // 裁剪区域数值输入
+    ['crop-x', 'crop-y', 'crop-width', 'crop-height'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        this.applyCropInputs(id);
+      });
+    });
+  }
+
+  /**
+   * 读取比例选择（宽/高）
+   */
+  readAspectRatio() {
+    const value = document.getElementById('crop-ratio')?.value || 'free';
+
+    if (value === 'free') return null;
+
+    if (value === 'original') {
+      if (!this.targetImage) return null;
+      const { width, height } = this.targetImage.getOriginalSize();
+      return width / height;
+    }
+
+    if (value === 'custom') {
+      const width = parseFloat(document.getElementById('crop-ratio-width')?.value);
+      const height = parseFloat(document.getElementById('crop-ratio-height')?.value);
+      return width > 0 && height > 0 ? width / height : null;
+    }
+
+    const [width, height] = value.split(':').map(Number);
+    return width / height;
+  }
+
+  /**
+   * 设置锁定的宽高比，并将裁剪框调整为该比例
+   */
+  setAspectRatio(ratio) {
+    this.aspectRatio = ratio;
+    if (!this.cropRect) return;
+
+    // 锁定比例时只保留四角控制点
+    ['ml', 'mr', 'mt', 'mb'].forEach(control => {
+      this.cropRect.setControlVisible(control, !ratio);
+    });
+
+    if (ratio) {
+      this.placeCropRect(this.fitRegionToRatio(this.getFrameRegion(), ratio));
+      this.updateCropInputs();
+    }
+    this.canvas.renderAll();
+  }
+
+  /**
+   * 在区域内取最大的指定比例区域（中心不变）
+   */
+  fitRegionToRatio(region, ratio) {
+    let { width, height } = region;
+    if (width / height > ratio) {
+      width = height * ratio;
+    } else {
+      height = width / ratio;
+    }
+    return {
+      x: region.x + (region.width - width) / 2,
+      y: region.y + (region.height - height) / 2,
+      width,
+      height
+    };
   }
 
   /**
@@ -53,55 +171,105 @@ export class CropManager {
     this.targetImage = activeObject;
     this.isCropping = true;
 
-    // 保存图片的原始状态
+    // 保存图片的原始状态（取消裁剪时恢复）
     this.originalImageState = {
       left: this.targetImage.left,
       top: this.targetImage.top,
+      cropX: this.targetImage.cropX,
+      cropY: this.targetImage.cropY,
+      width: this.targetImage.width,
+      height: this.targetImage.height,
+      angle: this.targetImage.angle,
       scaleX: this.targetImage.scaleX,
-      scaleY: this.targetImage.scaleY,
-      angle: this.targetImage.angle
+      scaleY: this.targetImage.scaleY
     };
+    const mask = this.targetImage.clipPath;
+    this.originalMaskPosition = mask ? { left: mask.left, top: mask.top } : null;
 
     // 禁用图片的交互
     this.targetImage.selectable = false;
     this.targetImage.evented = false;
     this.targetImage.hasControls = false;
 
+    // 当前裁剪区域作为裁剪框的初始位置
+    const image = this.targetImage;
+    const region = { x: image.cropX, y: image.cropY, width: image.width, height: image.height };
+
+    // 临时展开为完整图片，裁剪框可以重新向外扩展
+    const { width, height } = image.getOriginalSize();
+    this.setImageCrop(image, { x: 0, y: 0, width, height });
+
+    // 记录拉直前的状态：拉直只旋转图片，裁剪框保持在这个坐标空间中
+    this.reference = {
+      matrix: image.calcTransformMatrix(),
+      center: image.getCenterPoint(),
+      angle: image.angle,
+      scaleX: image.scaleX,
+      scaleY: image.scaleY
+    };
+    this.straightenAngle = 0;
+    this.updateStraightenUI();
+
     // 获取图片的边界（考虑缩放和旋转）
-    const imgBounds = this.targetImage.getBoundingRect();
+    const imgBounds = image.getBoundingRect();
 
     // 创建暗色遮罩层
     this.createOverlay(imgBounds);
 
-    // 创建裁剪框（初始大小和位置与图片完全一致）
+    // 创建裁剪框：与图片使用相同的旋转、倾斜、翻转和缩放，
+    // 使裁剪框处于图片自身的坐标空间，宽高即为原图像素
     this.cropRect = new fabric.Rect({
-      left: imgBounds.left,
-      top: imgBounds.top,
-      width: imgBounds.width,
-      height: imgBounds.height,
+      width: region.width,
+      height: region.height,
+      angle: image.angle,
+      skewX: image.skewX,
+      skewY: image.skewY,
+      flipX: image.flipX,
+      flipY: image.flipY,
+      scaleX: image.scaleX,
+      scaleY: image.scaleY,
       fill: 'transparent',
       stroke: '#4f46e5',
       strokeWidth: 2,
+      strokeUniform: true,
       strokeDashArray: [5, 5],
       cornerColor: '#4f46e5',
       cornerStrokeColor: '#ffffff',
       cornerSize: 12,
       cornerStyle: 'circle',
       transparentCorners: false,
-      hasRotatingPoint: false,
       lockRotation: true,
-      name: 'cropRect',
-      // 限制裁剪框移动范围
-      lockMovementX: false,
-      lockMovementY: false
+      lockSkewingX: true,
+      lockSkewingY: true,
+      lockScalingFlip: true,
+      excludeFromExport: true,
+      name: 'cropRect'
     });
+    this.cropRect.setControlVisible('mtr', false);
+    this.placeCropRect(region);
+
+    // 拖动时在裁剪框内绘制三分线
+    const renderFrame = this.cropRect._render.bind(this.cropRect);
+    this.cropRect._render = (ctx) => {
+      renderFrame(ctx);
+      if (this.showGrid) this.renderThirdsGrid(ctx);
+    };
 
     // 添加裁剪框移动限制
-    this.cropRect.on('moving', () => this.constrainCropRect());
-    this.cropRect.on('scaling', () => this.constrainCropRect());
+    this.cropRect.on('moving', (e) => this.constrainCropRect(e));
+    this.cropRect.on('scaling', (e) => this.constrainCropRect(e));
+    this.cropRect.on('mouseup', () => {
+      this.showGrid = false;
+      this.canvas.requestRenderAll();
+    });
 
     this.canvas.add(this.cropRect);
     this.canvas.setActiveObject(this.cropRect);
+
+    // 应用当前选择的比例
+    this.setAspectRatio(this.readAspectRatio());
+    this.updateCropInputs();
+    this.setCropMode(document.getElementById('crop-mode')?.value || 'rect');
     this.canvas.renderAll();
 
     this.editor.showToast('调整裁剪框大小和位置，然后点击"应用裁剪"', 'info');
@@ -120,46 +288,217 @@ export class CropManager {
       fill: 'rgba(0, 0, 0, 0.5)',
       selectable: false,
       evented: false,
+      excludeFromExport: true,
       name: 'cropOverlay'
     });
     this.canvas.add(this.overlay);
   }
 
   /**
-   * 限制裁剪框在图片范围内
+   * 限制裁剪框在图片范围内（在图片自身坐标空间中计算）
    */
-  constrainCropRect() {
+  constrainCropRect(e) {
     if (!this.cropRect || !this.targetImage) return;
 
-    const imgBounds = this.targetImage.getBoundingRect();
-    const cropBounds = this.cropRect.getBoundingRect();
+    const { width, height } = this.targetImage.getOriginalSize();
+    let region = this.getFrameRegion();
+    const isMoving = e?.transform?.action === 'drag';
+
+    this.showGrid = true;
+
+    if (isMoving) {
+      // 移动时保持尺寸，只平移回图片范围内
+      region.x = Math.max(0, Math.min(width - region.width, region.x));
+      region.y = Math.max(0, Math.min(height - region.height, region.y));
+    } else {
+      // 缩放时裁掉超出图片的部分
+      const right = Math.min(width, region.x + region.width);
+      const bottom = Math.min(height, region.y + region.height);
+      region.x = Math.max(0, region.x);
+      region.y = Math.max(0, region.y);
+      region.width = Math.max(1, right - region.x);
+      region.height = Math.max(1, bottom - region.y);
+
+      // 被边界截断后重新满足锁定比例
+      if (this.aspectRatio) {
+        region = this.fitRegionToRatio(region, this.aspectRatio);
+      }
+    }
 
-    let left = this.cropRect.left;
-    let top = this.cropRect.top;
+    this.placeCropRect(region);
+    this.updateCropInputs();
+  }
 
-    // 限制左边界
-    if (cropBounds.left < imgBounds.left) {
-      left = imgBounds.left;
+  /**
+   * 绘制三分线（裁剪框本地坐标）
+   */
+  renderThirdsGrid(ctx) {
+    const { width, height } = this.cropRect;
+    const x = -width / 2;
+    const y = -height / 2;
+
+    ctx.save();
+    ctx.beginPath();
+    for (let i = 1; i < 3; i++) {
+      ctx.moveTo(x + width * i / 3, y);
+      ctx.lineTo(x + width * i / 3, y + height);
+      ctx.moveTo(x, y + height * i / 3);
+      ctx.lineTo(x + width, y + height * i / 3);
     }
-    // 限制右边界
-    if (cropBounds.left + cropBounds.width > imgBounds.left + imgBounds.width) {
-      left = imgBounds.left + imgBounds.width - cropBounds.width;
+    ctx.setLineDash([]);
+    ctx.lineWidth = 1 / Math.abs(this.cropRect.scaleX * this.canvas.getZoom());
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * 将裁剪区域同步到数值输入框
+   */
+  updateCropInputs() {
+    if (!this.cropRect) return;
+
+    const region = this.getCropRegion();
+    const values = {
+      'crop-x': region.x,
+      'crop-y': region.y,
+      'crop-width': region.width,
+      'crop-height': region.height
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+  }
+
+  /**
+   * 根据数值输入框设置裁剪区域
+   */
+  applyCropInputs(changedId) {
+    if (!this.cropRect || !this.targetImage) return;
+
+    const { width: imageWidth, height: imageHeight } = this.targetImage.getOriginalSize();
+    const read = (id) => parseFloat(document.getElementById(id)?.value) || 0;
+
+    let width = Math.max(1, Math.min(imageWidth, read('crop-width')));
+    let height = Math.max(1, Math.min(imageHeight, read('crop-height')));
+
+    // 锁定比例时由修改的一边推算另一边
+    if (this.aspectRatio) {
+      if (changedId === 'crop-height') {
+        width = height * this.aspectRatio;
+      } else {
+        height = width / this.aspectRatio;
+      }
+      if (width > imageWidth || height > imageHeight) {
+        const scale = Math.min(imageWidth / width, imageHeight / height);
+        width *= scale;
+        height *= scale;
+      }
     }
-    // 限制上边界
-    if (cropBounds.top < imgBounds.top) {
-      top = imgBounds.top;
+
+    const x = Math.max(0, Math.min(imageWidth - width, read('crop-x')));
+    const y = Math.max(0, Math.min(imageHeight - height, read('crop-y')));
+
+    this.placeCropRect({ x, y, width, height });
+    this.updateCropInputs();
+    this.canvas.renderAll();
+  }
+
+  /**
+   * 将裁剪框放到指定的原图像素区域（图片已展开为完整尺寸）
+   */
+  placeCropRect(region) {
+    const image = this.targetImage;
+    const reference = this.reference;
+    const localCenter = new fabric.Point(
+      region.x + region.width / 2 - image.width / 2,
+      region.y + region.height / 2 - image.height / 2
+    );
+    const center = fabric.util.transformPoint(localCenter, reference.matrix);
+
+    // 缩放统一换算为宽高，裁剪框的缩放始终与图片一致
+    this.cropRect.set({
+      width: region.width,
+      height: region.height,
+      scaleX: reference.scaleX,
+      scaleY: reference.scaleY
+    });
+    this.cropRect.setPositionByOrigin(center, 'center', 'center');
+    this.cropRect.setCoords();
+
+    // 裁剪框变化后重新计算拉直所需的放大倍数
+    if (this.straightenAngle) {
+      this.updateStraighten();
     }
-    // 限制下边界
-    if (cropBounds.top + cropBounds.height > imgBounds.top + imgBounds.height) {
-      top = imgBounds.top + imgBounds.height - cropBounds.height;
+  }
+
+  /**
+   * 读取裁剪框对应的原图像素区域（未取整、未限制范围）
+   */
+  getFrameRegion() {
+    const image = this.targetImage;
+    const reference = this.reference;
+    const frame = this.cropRect;
+    const inverse = fabric.util.invertTransform(reference.matrix);
+    const center = fabric.util.transformPoint(frame.getCenterPoint(), inverse);
+
+    const width = frame.width * Math.abs(frame.scaleX / reference.scaleX);
+    const height = frame.height * Math.abs(frame.scaleY / reference.scaleY);
+
+    return {
+      x: center.x + image.width / 2 - width / 2,
+      y: center.y + image.height / 2 - height / 2,
+      width,
+      height
+    };
+  }
+
+  /**
+   * 设置图片的裁剪区域（原图像素坐标），保持图片内容在画布上的位置不变
+   */
+  setImageCrop(image, region) {
+    // 新区域中心在当前变换下的画布坐标
+    const localCenter = new fabric.Point(
+      region.x + region.width / 2 - image.cropX - image.width / 2,
+      region.y + region.height / 2 - image.cropY - image.height / 2
+    );
+    const center = fabric.util.transformPoint(localCenter, image.calcTransformMatrix());
+
+    image.set({
+      cropX: region.x,
+      cropY: region.y,
+      width: region.width,
+      height: region.height
+    });
+    image.setPositionByOrigin(center, 'center', 'center');
+    image.setCoords();
+
+    // 蒙版以图片中心为原点，中心移动后反向平移，保持蒙版与像素的相对位置
+    const mask = image.clipPath;
+    if (mask && !mask.absolutePositioned) {
+      mask.set({ left: mask.left - localCenter.x, top: mask.top - localCenter.y });
+      image.set('dirty', true);
     }
+  }
 
-    this.cropRect.set({ left, top });
-    this.cropRect.setCoords();
+  /**
+   * 将裁剪框换算为取整后的原图像素区域
+   */
+  getCropRegion() {
+    const { width, height } = this.targetImage.getOriginalSize();
+    const region = this.getFrameRegion();
+
+    const left = Math.max(0, Math.round(region.x));
+    const top = Math.max(0, Math.round(region.y));
+    const right = Math.min(width, Math.round(region.x + region.width));
+    const bottom = Math.min(height, Math.round(region.y + region.height));
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
   }
 
   /**
-   * 应用裁剪
+   * 应用裁剪：只修改图片的裁剪参数，原图和滤镜保持不变
    */
   applyCrop() {
     if (!this.cropRect || !this.targetImage) {
@@ -167,123 +506,483 @@ export class CropManager {
       return;
     }
 
-    try {
-      const cropBounds = this.cropRect.getBoundingRect();
-      const imgBounds = this.targetImage.getBoundingRect();
-
-      // 获取图片的缩放比例
-      const scaleX = this.targetImage.scaleX || 1;
-      const scaleY = this.targetImage.scaleY || 1;
-
-      // 计算裁剪区域相对于原始图片的位置（像素坐标）
-      const cropLeft = Math.max(0, (cropBounds.left - imgBounds.left) / scaleX);
-      const cropTop = Math.max(0, (cropBounds.top - imgBounds.top) / scaleY);
-      const cropWidth = Math.min(cropBounds.width / scaleX, this.targetImage.width - cropLeft);
-      const cropHeight = Math.min(cropBounds.height / scaleY, this.targetImage.height - cropTop);
-
-      // 确保裁剪区域有效
-      if (cropWidth <= 0 || cropHeight <= 0) {
-        this.editor.showToast('裁剪区域无效', 'error');
-        return;
-      }
+    if (this.mode === 'perspective') {
+      this.applyPerspectiveCrop();
+      return;
+    }
 
-      // 获取图片元素
-      const imgElement = this.targetImage.getElement();
-
-      // 创建临时 canvas 进行裁剪
-      const tempCanvas = document.createElement('canvas');
-      tempCanvas.width = Math.round(cropWidth);
-      tempCanvas.height = Math.round(cropHeight);
-      const ctx = tempCanvas.getContext('2d');
-
-      // 绘制裁剪区域
-      ctx.drawImage(
-        imgElement,
-        Math.round(cropLeft),
-        Math.round(cropTop),
-        Math.round(cropWidth),
-        Math.round(cropHeight),
-        0,
-        0,
-        Math.round(cropWidth),
-        Math.round(cropHeight)
-      );
+    // 拉直后的裁剪区域不再与原图坐标轴对齐，需要重新采样生成图片
+    if (this.straightenAngle) {
+      this.applyStraightenCrop();
+      return;
+    }
 
-      // 创建新图片
-      const dataURL = tempCanvas.toDataURL('image/png');
-
-      fabric.FabricImage.fromURL(dataURL, { crossOrigin: 'anonymous' }).then((newImg) => {
-        newImg.set({
-          left: cropBounds.left,
-          top: cropBounds.top,
-          scaleX: scaleX,
-          scaleY: scaleY,
-          selectable: true,
-          evented: true
-        });
-
-        // 移除遮罩层
-        if (this.overlay) {
-          this.canvas.remove(this.overlay);
-        }
-
-        // 移除原图片和裁剪框
-        this.canvas.remove(this.targetImage);
-        this.canvas.remove(this.cropRect);
-
-        // 添加新图片
-        this.canvas.add(newImg);
-        this.canvas.setActiveObject(newImg);
-        this.canvas.renderAll();
-
-        // 保存历史状态
-        this.editor.history.saveStateImmediate();
-        this.editor.showToast('裁剪成功', 'success');
-
-        this.cleanup();
-        this.editor.tools.setTool('select');
-      }).catch(error => {
-        console.error('创建裁剪图片失败:', error);
-        this.editor.showToast('裁剪失败，请重试', 'error');
-        this.cancelCrop();
+    const region = this.getCropRegion();
+
+    // 确保裁剪区域有效
+    if (region.width <= 0 || region.height <= 0) {
+      this.editor.showToast('裁剪区域无效', 'error');
+      return;
+    }
+
+    const image = this.targetImage;
+    this.setImageCrop(image, region);
+    this.removeCropUI();
+    this.restoreImageInteraction(image);
+    this.cleanup();
+
+    this.editor.tools.setTool('select');
+    this.canvas.setActiveObject(image);
+    this.canvas.renderAll();
+
+    // 保存历史状态
+    this.editor.history.saveStateImmediate();
+    this.editor.showToast('裁剪成功', 'success');
+  }
+
+  /**
+   * 切换裁剪模式
+   */
+  setCropMode(mode) {
+    this.mode = mode === 'perspective' ? 'perspective' : 'rect';
+    document.getElementById('crop-rect-options')?.classList.toggle('hidden', this.mode !== 'rect');
+
+    if (!this.cropRect) return;
+
+    if (this.mode === 'perspective') {
+      // 透视校正基于未拉直的图片
+      this.setStraighten(0);
+      this.cropRect.set({ visible: false, evented: false });
+      this.createPerspectiveHandles();
+    } else {
+      this.removePerspectiveHandles();
+      this.cropRect.set({ visible: true, evented: true });
+      this.canvas.setActiveObject(this.cropRect);
+    }
+    this.canvas.renderAll();
+  }
+
+  /**
+   * 在裁剪框四角创建可独立拖动的控制点（左上、右上、右下、左下）
+   */
+  createPerspectiveHandles() {
+    this.removePerspectiveHandles();
+
+    const frame = this.cropRect;
+    const matrix = frame.calcTransformMatrix();
+    const halfWidth = frame.width / 2;
+    const halfHeight = frame.height / 2;
+    const corners = [
+      [-halfWidth, -halfHeight], [halfWidth, -halfHeight],
+      [halfWidth, halfHeight], [-halfWidth, halfHeight]
+    ];
+
+    this.perspectiveHandles = corners.map(([x, y]) => {
+      const point = fabric.util.transformPoint(new fabric.Point(x, y), matrix);
+      const handle = new fabric.Circle({
+        left: point.x,
+        top: point.y,
+        radius: 8,
+        originX: 'center',
+        originY: 'center',
+        fill: '#4f46e5',
+        stroke: '#ffffff',
+        strokeWidth: 2,
+        hasControls: false,
+        hasBorders: false,
+        excludeFromExport: true,
+        name: 'perspectiveHandle'
       });
+      handle.on('moving', () => this.constrainPerspectiveHandle(handle));
+      this.canvas.add(handle);
+      return handle;
+    });
+
+    this.canvas.discardActiveObject();
+  }
+
+  removePerspectiveHandles() {
+    // 先清空列表，移除时不会被当作意外删除
+    const handles = this.perspectiveHandles;
+    this.perspectiveHandles = [];
+    handles.forEach(handle => this.canvas.remove(handle));
+  }
+
+  /**
+   * 限制控制点在图片范围内
+   */
+  constrainPerspectiveHandle(handle) {
+    const image = this.targetImage;
+    const matrix = image.calcTransformMatrix();
+    const local = fabric.util.transformPoint(handle.getCenterPoint(), fabric.util.invertTransform(matrix));
+
+    local.x = Math.max(-image.width / 2, Math.min(image.width / 2, local.x));
+    local.y = Math.max(-image.height / 2, Math.min(image.height / 2, local.y));
+
+    handle.setPositionByOrigin(fabric.util.transformPoint(local, matrix), 'center', 'center');
+    handle.setCoords();
+  }
+
+  /**
+   * 绘制控制点围成的四边形
+   */
+  renderPerspectiveOutline(ctx) {
+    if (this.perspectiveHandles.length !== 4) return;
+
+    ctx.save();
+    ctx.transform(...this.canvas.viewportTransform);
+    ctx.beginPath();
+    this.perspectiveHandles.forEach((handle, index) => {
+      const { x, y } = handle.getCenterPoint();
+      if (index === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.lineWidth = 2 / this.canvas.getZoom();
+    ctx.strokeStyle = '#4f46e5';
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * 控制点换算为原图像素坐标（图片已展开为完整尺寸）
+   */
+  getPerspectiveQuad() {
+    const image = this.targetImage;
+    const inverse = fabric.util.invertTransform(image.calcTransformMatrix());
+
+    return this.perspectiveHandles.map(handle => {
+      const local = fabric.util.transformPoint(handle.getCenterPoint(), inverse);
+      return { x: local.x + image.width / 2, y: local.y + image.height / 2 };
+    });
+  }
+
+  /**
+   * 应用透视校正：把四边形区域拉直为矩形，生成新的图片替换原图
+   */
+  async applyPerspectiveCrop() {
+    const image = this.targetImage;
+    const quad = this.getPerspectiveQuad();
+
+    // 校正后的图片放在四边形中心
+    const center = this.perspectiveHandles
+      .map(handle => handle.getCenterPoint())
+      .reduce((sum, point) => sum.add(point.scalarDivide(4)), new fabric.Point(0, 0));
+
+    await this.replaceWithWarpedImage(quad, center, {
+      angle: image.angle,
+      skewX: image.skewX,
+      skewY: image.skewY,
+      flipX: image.flipX,
+      flipY: image.flipY,
+      scaleX: image.scaleX,
+      scaleY: image.scaleY
+    }, '透视校正完成');
+  }
+
+  /**
+   * 应用拉直裁剪：按旋转后的图片对裁剪框区域重新采样
+   */
+  async applyStraightenCrop() {
+    const image = this.targetImage;
+    const frame = this.cropRect;
+    const matrix = frame.calcTransformMatrix();
+    const inverse = fabric.util.invertTransform(image.calcTransformMatrix());
+    const halfWidth = frame.width / 2;
+    const halfHeight = frame.height / 2;
+
+    // 裁剪框四角在（已旋转的）原图中的像素坐标
+    const quad = [
+      [-halfWidth, -halfHeight], [halfWidth, -halfHeight],
+      [halfWidth, halfHeight], [-halfWidth, halfHeight]
+    ].map(([x, y]) => {
+      const point = fabric.util.transformPoint(new fabric.Point(x, y), matrix);
+      const local = fabric.util.transformPoint(point, inverse);
+      return { x: local.x + image.width / 2, y: local.y + image.height / 2 };
+    });
+
+    await this.replaceWithWarpedImage(quad, frame.getCenterPoint(), {
+      angle: frame.angle,
+      skewX: frame.skewX,
+      skewY: frame.skewY,
+      flipX: frame.flipX,
+      flipY: frame.flipY,
+      scaleX: image.scaleX,
+      scaleY: image.scaleY
+    }, '拉直裁剪完成');
+  }
+
+  /**
+   * 将原图中的四边形区域重新采样为新图片，原位替换（保留ID、层级、滤镜、倾斜和蒙版）
+   */
+  async replaceWithWarpedImage(quad, center, transform, message) {
+    const image = this.targetImage;
+    const { width, height } = getRectifiedSize(quad);
+
+    let newImg;
+    let filters;
+    try {
+      // 使用未应用滤镜的原图，滤镜在新图片上重新应用；遮盖区域的坐标无法对应到新图片，先写入像素
+      const baked = bakeRedactions(image._originalElement || image.getElement(), image.filters);
+      filters = baked.filters;
+      const output = warpPerspective(baked.element, quad, width, height);
+      const isJpeg = image.getSrc().startsWith('data:image/jpeg');
+      const dataURL = isJpeg ? output.toDataURL('image/jpeg', 0.92) : output.toDataURL('image/png');
+      newImg = await fabric.FabricImage.fromURL(dataURL, { crossOrigin: 'anonymous' });
     } catch (error) {
-      console.error('裁剪过程出错:', error);
+      console.error('生成图片失败:', error);
       this.editor.showToast('裁剪失败: ' + error.message, 'error');
-      this.cancelCrop();
+      return;
+    }
+
+    newImg.set({
+      id: image.id,
+      name: image.name,
+      opacity: image.opacity,
+      shadow: image.shadow,
+      ...transform
+    });
+    newImg.filters = filters.slice();
+    newImg.applyFilters();
+    newImg.setPositionByOrigin(center, 'center', 'center');
+    newImg.setCoords();
+
+    // 蒙版保持在画布上的原位置，换算到新图片的坐标系
+    const mask = image.clipPath;
+    if (mask) {
+      if (!mask.absolutePositioned) {
+        const maskMatrix = fabric.util.multiplyTransformMatrices(image.calcTransformMatrix(), mask.calcTransformMatrix());
+        this.editor.masks.applyMatrix(mask, fabric.util.multiplyTransformMatrices(
+          fabric.util.invertTransform(newImg.calcTransformMatrix()),
+          maskMatrix
+        ));
+      }
+      newImg.clipPath = mask;
     }
+
+    this.removeCropUI();
+    this.cleanup();
+
+    // 原位替换图片（保留ID和层级）
+    const index = this.canvas.getObjects().indexOf(image);
+    this.canvas.remove(image);
+    this.canvas.insertAt(index, newImg);
+
+    this.editor.tools.setTool('select');
+    this.canvas.setActiveObject(newImg);
+    this.canvas.renderAll();
+
+    this.editor.history.saveStateImmediate();
+    this.editor.showToast(message, 'success');
   }
 
   /**
-   * 取消裁剪
+   * 设置拉直角度
    */
-  cancelCrop() {
-    // 移除遮罩层
+  setStraighten(angle) {
+    if (!this.targetImage || !this.reference) return;
+
+    this.straightenAngle = Math.max(-45, Math.min(45, angle || 0));
+    this.updateStraighten();
+    this.updateStraightenUI();
+    this.canvas.renderAll();
+  }
+
+  /**
+   * 以裁剪框中心旋转图片，并自动放大图片使裁剪框内没有透明角
+   */
+  updateStraighten() {
+    const image = this.targetImage;
+    const reference = this.reference;
+    const pivot = this.cropRect.getCenterPoint();
+    const rotation = fabric.util.degreesToRadians(this.straightenAngle);
+
+    // 先只旋转（不放大），求裁剪框各角在图片坐标中的位置
+    const rotatedCenter = fabric.util.rotatePoint(reference.center, pivot, rotation);
+    image.set({
+      angle: reference.angle + this.straightenAngle,
+      scaleX: reference.scaleX,
+      scaleY: reference.scaleY
+    });
+    image.setPositionByOrigin(rotatedCenter, 'center', 'center');
+
+    const scale = this.getCoverScale(pivot);
+
+    // 以裁剪框中心为基准放大
+    const center = pivot.add(rotatedCenter.subtract(pivot).scalarMultiply(scale));
+    image.set({
+      scaleX: reference.scaleX * scale,
+      scaleY: reference.scaleY * scale
+    });
+    image.setPositionByOrigin(center, 'center', 'center');
+    image.setCoords();
+  }
+
+  /**
+   * 计算图片需要放大的倍数，使裁剪框完全落在图片内
+   */
+  getCoverScale(pivot) {
+    const image = this.targetImage;
+    const frame = this.cropRect;
+    const inverse = fabric.util.invertTransform(image.calcTransformMatrix());
+    const frameMatrix = frame.calcTransformMatrix();
+    const halfWidth = image.width / 2;
+    const halfHeight = image.height / 2;
+    const focus = fabric.util.transformPoint(pivot, inverse);
+
+    let scale = 1;
+    [
+      [-frame.width / 2, -frame.height / 2], [frame.width / 2, -frame.height / 2],
+      [frame.width / 2, frame.height / 2], [-frame.width / 2, frame.height / 2]
+    ].forEach(([x, y]) => {
+      const corner = fabric.util.transformPoint(
+        fabric.util.transformPoint(new fabric.Point(x, y), frameMatrix),
+        inverse
+      );
+      const dx = corner.x - focus.x;
+      const dy = corner.y - focus.y;
+      const limitX = dx > 0 ? halfWidth - focus.x : halfWidth + focus.x;
+      const limitY = dy > 0 ? halfHeight - focus.y : halfHeight + focus.y;
+      if (limitX > 0) scale = Math.max(scale, Math.abs(dx) / limitX);
+      if (limitY > 0) scale = Math.max(scale, Math.abs(dy) / limitY);
+    });
+    return scale;
+  }
+
+  updateStraightenUI() {
+    const slider = document.getElementById('crop-straighten');
+    const value = document.getElementById('crop-straighten-value');
+    if (slider) slider.value = this.straightenAngle;
+    if (value) value.textContent = `${this.straightenAngle.toFixed(1)}°`;
+  }
+
+  /**
+   * 开始绘制水平参考线：沿画面中应当水平（或垂直）的线拖动
+   */
+  startLevelLine() {
+    if (!this.cropRect) return;
+
+    this.isDrawingLevel = true;
+    this.cropRect.evented = false;
+    this.canvas.selection = false;
+    this.canvas.discardActiveObject();
+    this.canvas.defaultCursor = 'crosshair';
+    document.getElementById('crop-level-btn')?.classList.add('active');
+    this.editor.showToast('沿画面中应当水平或垂直的线拖动', 'info');
+  }
+
+  onLevelMouseDown(opt) {
+    if (!this.isDrawingLevel) return;
+
+    const pointer = this.canvas.getScenePoint(opt.e);
+    this.levelLine = new fabric.Line([pointer.x, pointer.y, pointer.x, pointer.y], {
+      stroke: '#f59e0b',
+      strokeWidth: 2,
+      strokeUniform: true,
+      selectable: false,
+      evented: false,
+      excludeFromExport: true,
+      name: 'levelLine'
+    });
+    this.canvas.add(this.levelLine);
+  }
+
+  onLevelMouseMove(opt) {
+    if (!this.isDrawingLevel || !this.levelLine) return;
+
+    const pointer = this.canvas.getScenePoint(opt.e);
+    this.levelLine.set({ x2: pointer.x, y2: pointer.y });
+    this.canvas.renderAll();
+  }
+
+  onLevelMouseUp() {
+    if (!this.isDrawingLevel || !this.levelLine) return;
+
+    const { x1, y1, x2, y2 } = this.levelLine;
+    this.finishLevelLine();
+
+    if (Math.hypot(x2 - x1, y2 - y1) < 10) return;
+
+    // 参考线相对裁剪框的角度，接近垂直时按垂直线校正
+    let angle = fabric.util.radiansToDegrees(Math.atan2(y2 - y1, x2 - x1)) - this.cropRect.angle;
+    angle = ((angle % 180) + 270) % 180 - 90;
+    if (angle > 45) angle -= 90;
+    if (angle < -45) angle += 90;
+
+    this.setStraighten(this.straightenAngle - angle);
+  }
+
+  finishLevelLine() {
+    if (this.levelLine) {
+      this.canvas.remove(this.levelLine);
+      this.levelLine = null;
+    }
+    this.isDrawingLevel = false;
+    this.canvas.defaultCursor = 'default';
+    document.getElementById('crop-level-btn')?.classList.remove('active');
+
+    if (this.cropRect) {
+      this.cropRect.evented = true;
+      this.canvas.setActiveObject(this.cropRect);
+    }
+    this.canvas.renderAll();
+  }
+
+  /**
+   * 移除遮罩层和裁剪框
+   */
+  removeCropUI() {
+    this.removePerspectiveHandles();
+    if (this.isDrawingLevel) {
+      this.finishLevelLine();
+    }
     if (this.overlay) {
       this.canvas.remove(this.overlay);
     }
-
-    // 移除裁剪框
     if (this.cropRect) {
-      this.canvas.remove(this.cropRect);
+      // 先清除引用，移除时不会被当作意外删除
+      const cropRect = this.cropRect;
+      this.cropRect = null;
+      this.canvas.remove(cropRect);
     }
+  }
+
+  /**
+   * 恢复图片的交互
+   */
+  restoreImageInteraction(image) {
+    image.selectable = true;
+    image.evented = true;
+    image.hasControls = true;
+  }
+
+  /**
+   * 取消裁剪
+   */
+  cancelCrop() {
+    this.removeCropUI();
 
     // 恢复图片状态
-    if (this.targetImage) {
-      this.targetImage.selectable = true;
-      this.targetImage.evented = true;
-      this.targetImage.hasControls = true;
+    const image = this.targetImage;
+    if (image) {
+      this.restoreImageInteraction(image);
 
-      // 恢复原始位置和状态
+      // 恢复原始裁剪区域和位置
       if (this.originalImageState) {
-        this.targetImage.set(this.originalImageState);
+        image.set(this.originalImageState);
+        image.setCoords();
+      }
+      if (this.originalMaskPosition && image.clipPath) {
+        image.clipPath.set(this.originalMaskPosition);
+        image.set('dirty', true);
       }
-
-      this.canvas.setActiveObject(this.targetImage);
     }
 
     this.cleanup();
     this.editor.tools.setTool('select');
+    if (image) {
+      this.canvas.setActiveObject(image);
+    }
     this.canvas.renderAll();
 
     this.editor.showToast('已取消裁剪', 'info');
@@ -297,8 +996,16 @@ export class CropManager {
     this.targetImage = null;
     this.overlay = null;
     this.originalImageState = null;
+    this.originalMaskPosition = null;
     this.isCropping = false;
+    this.showGrid = false;
+    this.reference = null;
+    this.straightenAngle = 0;
+    this.levelLine = null;
+    this.isDrawingLevel = false;
     document.getElementById('crop-panel')?.classList.add('hidden');
+    this.editor.history.flushPendingSave();
+    this.editor.autosave?.flushPendingSave();
   }
 
   /**
@@ -0,0 +1,382 @@
+import {
+  Curves,
+  DEFAULT_LEVELS,
+  cloneCurves,
+  interpolateCurve,
+  isIdentityCurve
+} from './ImageFilters.js';
+
+// 曲线通道颜色
+const CHANNEL_COLORS = {
+  rgb: '#e5e7eb',
+  red: '#ef4444',
+  green: '#22c55e',
+  blue: '#3b82f6'
+};
+
+/**
+ * Curves Manager - 色阶、曲线与直方图
+ *
+ * 色阶和曲线合成为一个 Curves 滤镜，由 FilterManager 放在滤镜列表的最前面。
+ */
+export class CurvesManager {
+  // 控制点的拾取半径（曲线画布像素）
+  static HIT_RADIUS = 8;
+
+  // 计算直方图时图片的最大边长
+  static HISTOGRAM_SAMPLE_SIZE = 256;
+
+  constructor(editor) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.curves = cloneCurves();
+    this.levels = { ...DEFAULT_LEVELS };
+    this.channel = 'rgb';
+    this.dragIndex = -1;
+    this.histogramFrame = null;
+    this.isMixed = false; // 多选时各图片的色阶与曲线不同
+
+    this.setupEventListeners();
+    this.drawCurves();
+  }
+
+  setupEventListeners() {
+    document.getElementById('curves-channel')?.addEventListener('change', (e) => {
+      this.channel = e.target.value;
+      this.drawCurves();
+    });
+
+    // 色阶
+    ['black', 'gamma', 'white'].forEach(key => {
+      const input = document.getElementById(`levels-${key}`);
+      input?.addEventListener('input', (e) => {
+        this.setLevel(key, parseFloat(e.target.value));
+      });
+      input?.addEventListener('change', () => {
+        this.editor.filterManager.commitChange();
+      });
+    });
+
+    // 曲线编辑
+    const curvesCanvas = document.getElementById('curves-canvas');
+    if (curvesCanvas) {
+      curvesCanvas.addEventListener('pointerdown', (e) => this.onCurvePointerDown(e));
+      curvesCanvas.addEventListener('pointermove', (e) => this.onCurvePointerMove(e));
+      curvesCanvas.addEventListener('pointerup', () => this.onCurvePointerUp());
+      curvesCanvas.addEventListener('pointercancel', () => this.onCurvePointerUp());
+      curvesCanvas.addEventListener('dblclick', (e) => this.onCurveDoubleClick(e));
+    }
+
+    document.getElementById('reset-curves')?.addEventListener('click', () => {
+      this.reset();
+      this.editor.filterManager.applyFilters('tone');
+      this.editor.filterManager.commitChange();
+    });
+  }
+
+  /**
+   * 当前的色阶与曲线设置，没有调整时返回 null
+   */
+  getSettings() {
+    const filter = new Curves({ curves: this.curves, levels: this.levels });
+    if (filter.isNeutralState()) return null;
+
+    const { curves, levels } = filter.toObject();
+    return { curves, levels };
+  }
+
+  /**
+   * 载入色阶与曲线设置（null 表示不做调整）
+   */
+  setSettings(settings, isMixed = false) {
+    this.curves = cloneCurves(settings?.curves);
+    this.levels = { ...DEFAULT_LEVELS, ...settings?.levels };
+    this.isMixed = isMixed;
+    this.syncLevelInputs();
+    this.drawCurves();
+  }
+
+  /**
+   * 从图片的滤镜中读取色阶与曲线，并刷新直方图
+   */
+  updateFromImage(obj, isMixed = false) {
+    this.setSettings(obj.filters?.find(item => item?.type === 'Curves'), isMixed);
+    this.scheduleHistogram(obj);
+  }
+
+  reset() {
+    this.setSettings(null);
+  }
+
+  /**
+   * 设置色阶：黑场始终小于白场
+   */
+  setLevel(key, value) {
+    if (key === 'black') {
+      value = Math.min(value, this.levels.white - 1);
+    } else if (key === 'white') {
+      value = Math.max(value, this.levels.black + 1);
+    }
+    this.levels[key] = value;
+    this.isMixed = false;
+    this.syncLevelInputs();
+    this.editor.filterManager.applyFilters('tone');
+  }
+
+  syncLevelInputs() {
+    ['black', 'gamma', 'white'].forEach(key => {
+      const input = document.getElementById(`levels-${key}`);
+      if (!input) return;
+      input.value = this.levels[key];
+      input.classList.toggle('mixed', this.isMixed);
+      const valueSpan = input.parentElement.querySelector('.filter-value');
+      if (valueSpan) {
+        valueSpan.textContent = this.isMixed ? '—' : key === 'gamma'
+          ? this.levels.gamma.toFixed(2)
+          : Math.round(this.levels[key]);
+      }
+    });
+  }
+
+  /**
+   * 将鼠标位置换算为曲线坐标（0-255，下方为 0）
+   */
+  getCurvePoint(e) {
+    const curvesCanvas = e.target;
+    const rect = curvesCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / (rect.width || curvesCanvas.width) * 255;
+    const y = 255 - (e.clientY - rect.top) / (rect.height || curvesCanvas.height) * 255;
+    return [
+      Math.round(Math.min(255, Math.max(0, x))),
+      Math.round(Math.min(255, Math.max(0, y)))
+    ];
+  }
+
+  /**
+   * 查找鼠标附近的控制点
+   */
+  findPointIndex([x, y], e) {
+    const curvesCanvas = e.target;
+    const rect = curvesCanvas.getBoundingClientRect();
+    const scale = 255 / (rect.width || curvesCanvas.width);
+    const radius = CurvesManager.HIT_RADIUS * scale;
+    return this.curves[this.channel].findIndex(
+      ([px, py]) => Math.hypot(px - x, py - y) <= radius
+    );
+  }
+
+  onCurvePointerDown(e) {
+    const point = this.getCurvePoint(e);
+    const points = this.curves[this.channel];
+
+    this.dragIndex = this.findPointIndex(point, e);
+    if (this.dragIndex === -1) {
+      // 在两个控制点之间添加新点
+      if (points.some(([x]) => x === point[0])) return;
+      points.push(point);
+      points.sort((a, b) => a[0] - b[0]);
+      this.dragIndex = points.indexOf(point);
+      this.onCurveChange();
+    }
+
+    e.target.setPointerCapture?.(e.pointerId);
+  }
+
+  onCurvePointerMove(e) {
+    if (this.dragIndex === -1) return;
+
+    const points = this.curves[this.channel];
+    const [x, y] = this.getCurvePoint(e);
+
+    // 控制点不能越过相邻的点
+    const minX = this.dragIndex > 0 ? points[this.dragIndex - 1][0] + 1 : 0;
+    const maxX = this.dragIndex < points.length - 1 ? points[this.dragIndex + 1][0] - 1 : 255;
+    points[this.dragIndex] = [Math.min(maxX, Math.max(minX, x)), y];
+    this.onCurveChange();
+  }
+
+  onCurvePointerUp() {
+    if (this.dragIndex === -1) return;
+    this.dragIndex = -1;
+    this.editor.filterManager.commitChange();
+  }
+
+  /**
+   * 双击删除控制点（保留两端的点）
+   */
+  onCurveDoubleClick(e) {
+    const points = this.curves[this.channel];
+    const index = this.findPointIndex(this.getCurvePoint(e), e);
+    if (index <= 0 || index >= points.length - 1) return;
+
+    points.splice(index, 1);
+    this.onCurveChange();
+    this.editor.filterManager.commitChange();
+  }
+
+  onCurveChange() {
+    if (this.isMixed) {
+      this.isMixed = false;
+      this.syncLevelInputs();
+    }
+    this.drawCurves();
+    this.editor.filterManager.applyFilters('tone');
+  }
+
+  /**
+   * 绘制曲线编辑器
+   */
+  drawCurves() {
+    const curvesCanvas = document.getElementById('curves-canvas');
+    const ctx = curvesCanvas?.getContext('2d');
+    if (!ctx) return;
+
+    const { width, height } = curvesCanvas;
+    const toX = x => x / 255 * width;
+    const toY = y => height - y / 255 * height;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#1f2937';
+    ctx.fillRect(0, 0, width, height);
+
+    // 四等分网格与对角参考线
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 1; i < 4; i++) {
+      ctx.moveTo(width * i / 4, 0);
+      ctx.lineTo(width * i / 4, height);
+      ctx.moveTo(0, height * i / 4);
+      ctx.lineTo(width, height * i / 4);
+    }
+    ctx.moveTo(0, height);
+    ctx.lineTo(width, 0);
+    ctx.stroke();
+
+    // 其他已调整的通道以半透明显示
+    Object.entries(this.curves).forEach(([channel, points]) => {
+      if (channel === this.channel || isIdentityCurve(points)) return;
+      this.strokeCurve(ctx, points, CHANNEL_COLORS[channel], 0.35, toX, toY);
+    });
+
+    const points = this.curves[this.channel];
+    const color = CHANNEL_COLORS[this.channel];
+    this.strokeCurve(ctx, points, color, 1, toX, toY);
+
+    ctx.fillStyle = color;
+    points.forEach(([x, y]) => {
+      ctx.beginPath();
+      ctx.arc(toX(x), toY(y), 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  strokeCurve(ctx, points, color, alpha, toX, toY) {
+    const table = interpolateCurve(points);
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    table.forEach((value, x) => {
+      if (x === 0) {
+        ctx.moveTo(toX(x), toY(value));
+      } else {
+        ctx.lineTo(toX(x), toY(value));
+      }
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * 在下一帧刷新直方图（拖动滑块时合并多次更新）
+   */
+  scheduleHistogram(obj = this.canvas.getActiveObject()) {
+    if (this.histogramFrame) {
+      cancelAnimationFrame(this.histogramFrame);
+    }
+    this.histogramFrame = requestAnimationFrame(() => {
+      this.histogramFrame = null;
+      this.updateHistogram(obj);
+    });
+  }
+
+  /**
+   * 统计图片（已应用滤镜）各通道的像素分布
+   */
+  computeHistogram(element) {
+    const sourceWidth = element.naturalWidth || element.width;
+    const sourceHeight = element.naturalHeight || element.height;
+    const scale = Math.min(1, CurvesManager.HISTOGRAM_SAMPLE_SIZE / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    const sample = document.createElement('canvas');
+    sample.width = width;
+    sample.height = height;
+    const ctx = sample.getContext('2d');
+    ctx.drawImage(element, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    const histogram = {
+      red: new Uint32Array(256),
+      green: new Uint32Array(256),
+      blue: new Uint32Array(256)
+    };
+    for (let i = 0; i < data.length; i += 4) {
+      // 忽略完全透明的像素
+      if (data[i + 3] === 0) continue;
+      histogram.red[data[i]]++;
+      histogram.green[data[i + 1]]++;
+      histogram.blue[data[i + 2]]++;
+    }
+    return histogram;
+  }
+
+  updateHistogram(obj) {
+    const histogramCanvas = document.getElementById('histogram-canvas');
+    const ctx = histogramCanvas?.getContext('2d');
+    if (!ctx) return;
+
+    const { width, height } = histogramCanvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#1f2937';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!obj || obj.type !== 'image' || !obj.getElement()) return;
+
+    let histogram;
+    try {
+      histogram = this.computeHistogram(obj.getElement());
+    } catch (error) {
+      // 跨域图片无法读取像素
+      console.warn('无法计算直方图:', error);
+      return;
+    }
+
+    // 以中间色阶的最大值归一化，避免纯黑、纯白的峰值压扁其他部分
+    let max = 1;
+    ['red', 'green', 'blue'].forEach(channel => {
+      for (let i = 1; i < 255; i++) {
+        max = Math.max(max, histogram[channel][i]);
+      }
+    });
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ['red', 'green', 'blue'].forEach(channel => {
+      ctx.fillStyle = CHANNEL_COLORS[channel];
+      ctx.globalAlpha = 0.6;
+      ctx.beginPath();
+      ctx.moveTo(0, height);
+      histogram[channel].forEach((count, i) => {
+        ctx.lineTo(i / 255 * width, height - Math.min(1, count / max) * height);
+      });
+      ctx.lineTo(width, height);
+      ctx.closePath();
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+}
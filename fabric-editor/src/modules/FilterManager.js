@@ -1,44 +1,234 @@
 import * as fabric from 'fabric';
+import { ColorEffect, Curves, Lut3D, Vignette, createCubeSource } from './ImageFilters.js';
+import { createKeyFilter, readKeyFilter } from './ChromaKeyManager.js';
+
+/**
+ * 锐化卷积核，amount 为 0 时等同原图
+ */
+function sharpenMatrix(amount) {
+  return [
+    0, -amount, 0,
+    -amount, 1 + 4 * amount, -amount,
+    0, -amount, 0
+  ];
+}
+
+/**
+ * 从卷积核中识别锐化强度，不是锐化卷积核时返回 undefined
+ */
+function readSharpenAmount(matrix) {
+  if (!matrix || matrix.length !== 9) return undefined;
+  const expected = sharpenMatrix(-matrix[1]);
+  return matrix.every((value, i) => Math.abs(value - expected[i]) < 1e-6) ? -matrix[1] : undefined;
+}
+
+/**
+ * 色彩效果滑块（读取时兼容效果相同的 Fabric 自带滤镜，视为强度 1）
+ */
+function colorEffectControl(property, stockType, isEquivalent = () => true) {
+  return {
+    id: `filter-${property}`,
+    property,
+    defaultValue: 0,
+    create: (value) => new ColorEffect({ effect: property, amount: value }),
+    read: (filter) => {
+      if (filter.type === 'ColorEffect' && filter.effect === property) return filter.amount;
+      if (filter.type === stockType && isEquivalent(filter)) return 1;
+      return undefined;
+    }
+  };
+}
 
 /**
  * Filter Manager - 图片滤镜管理
  */
 export class FilterManager {
+  // 滤镜控件，按应用顺序排列：先调色，再做效果，最后是空间类滤镜
+  static FILTER_CONTROLS = [
+    {
+      id: 'filter-brightness',
+      property: 'brightness',
+      defaultValue: 0,
+      create: (value) => new fabric.filters.Brightness({ brightness: value }),
+      read: (filter) => filter.type === 'Brightness' ? filter.brightness : undefined
+    },
+    {
+      id: 'filter-contrast',
+      property: 'contrast',
+      defaultValue: 0,
+      create: (value) => new fabric.filters.Contrast({ contrast: value }),
+      read: (filter) => filter.type === 'Contrast' ? filter.contrast : undefined
+    },
+    {
+      id: 'filter-saturation',
+      property: 'saturation',
+      defaultValue: 0,
+      create: (value) => new fabric.filters.Saturation({ saturation: value }),
+      read: (filter) => filter.type === 'Saturation' ? filter.saturation : undefined
+    },
+    {
+      id: 'filter-vibrance',
+      property: 'vibrance',
+      defaultValue: 0,
+      create: (value) => new fabric.filters.Vibrance({ vibrance: value }),
+      read: (filter) => filter.type === 'Vibrance' ? filter.vibrance : undefined
+    },
+    {
+      id: 'filter-hue',
+      property: 'hue',
+      defaultValue: 0,
+      create: (value) => new fabric.filters.HueRotation({ rotation: value }),
+      read: (filter) => filter.type === 'HueRotation' ? filter.rotation : undefined,
+      format: (value) => `${Math.round(value * 180)}°`
+    },
+    {
+      id: 'filter-gamma',
+      property: 'gamma',
+      defaultValue: 1,
+      create: (value) => new fabric.filters.Gamma({ gamma: [value, value, value] }),
+      read: (filter) => {
+        // 各通道伽马不同时无法用一个滑块表示
+        if (filter.type !== 'Gamma') return undefined;
+        const [r, g, b] = filter.gamma;
+        return r === g && g === b ? r : undefined;
+      }
+    },
+    {
+      id: 'filter-lut',
+      property: 'lut',
+      defaultValue: 0,
+      // 没有载入 LUT 时不生成滤镜
+      create: (value, settings) => settings.lut
+        ? new Lut3D({ src: settings.lut.src, name: settings.lut.name, intensity: value })
+        : null,
+      read: (filter, settings) => {
+        if (filter.type !== 'Lut3D') return undefined;
+        settings.lut = { src: filter.src, name: filter.name };
+        return filter.intensity;
+      }
+    },
+    colorEffectControl('grayscale', 'Grayscale', filter => filter.mode === 'luminosity'),
+    colorEffectControl('sepia', 'Sepia'),
+    colorEffectControl('vintage', 'Vintage'),
+    colorEffectControl('kodachrome', 'Kodachrome'),
+    colorEffectControl('invert', 'Invert', filter => filter.invert && !filter.alpha),
+    {
+      id: 'filter-tint',
+      property: 'tint',
+      defaultValue: 0,
+      create: (value, settings) => new fabric.filters.BlendColor({
+        color: settings.tintColor,
+        mode: 'tint',
+        alpha: value
+      }),
+      read: (filter, settings) => {
+        if (filter.type !== 'BlendColor' || filter.mode !== 'tint') return undefined;
+        settings.tintColor = filter.color;
+        return filter.alpha;
+      }
+    },
+    {
+      id: 'filter-vignette',
+      property: 'vignette',
+      defaultValue: 0,
+      create: (value) => new Vignette({ amount: value }),
+      read: (filter) => filter.type === 'Vignette' ? filter.amount : undefined
+    },
+    {
+      id: 'filter-blur',
+      property: 'blur',
+      defaultValue: 0,
+      create: (value) => new fabric.filters.Blur({ blur: value }),
+      read: (filter) => filter.type === 'Blur' ? filter.blur : undefined
+    },
+    {
+      id: 'filter-sharpen',
+      property: 'sharpen',
+      defaultValue: 0,
+      create: (value) => new fabric.filters.Convolute({ matrix: sharpenMatrix(value) }),
+      read: (filter) => filter.type === 'Convolute' ? readSharpenAmount(filter.matrix) : undefined
+    },
+    {
+      id: 'filter-noise',
+      property: 'noise',
+      defaultValue: 0,
+      create: (value) => new fabric.filters.Noise({ noise: value }),
+      read: (filter) => filter.type === 'Noise' ? filter.noise : undefined,
+      format: (value) => Math.round(value)
+    },
+    {
+      id: 'filter-pixelate',
+      property: 'pixelate',
+      defaultValue: 1,
+      create: (value) => new fabric.filters.Pixelate({ blocksize: value }),
+      read: (filter) => filter.type === 'Pixelate' ? filter.blocksize : undefined,
+      format: (value) => `${Math.round(value)}px`
+    }
+  ];
+
+  static DEFAULT_TINT_COLOR = '#ff9900';
+
   constructor(editor) {
     this.editor = editor;
     this.canvas = editor.canvas;
-    this.filters = {
-      brightness: 0,
-      contrast: 0,
-      saturation: 0,
-      blur: 0,
-      noise: 0
-    };
+    this.filters = this.getDefaultFilters();
+    this.tintColor = FilterManager.DEFAULT_TINT_COLOR;
+    this.lut = null; // 当前 3D LUT：{ src, name }
+    this.mixed = new Set(); // 多选时各图片数值不同的滑块
 
     this.setupEventListeners();
   }
 
+  getDefaultFilters() {
+    return Object.fromEntries(
+      FilterManager.FILTER_CONTROLS.map(control => [control.property, control.defaultValue])
+    );
+  }
+
   setupEventListeners() {
     // 滤镜控制
-    const filterControls = [
-      { id: 'filter-brightness', property: 'brightness', min: -1, max: 1 },
-      { id: 'filter-contrast', property: 'contrast', min: -1, max: 1 },
-      { id: 'filter-saturation', property: 'saturation', min: -1, max: 1 },
-      { id: 'filter-blur', property: 'blur', min: 0, max: 1 },
-      { id: 'filter-noise', property: 'noise', min: 0, max: 1000 }
-    ];
-
-    filterControls.forEach(control => {
+    FilterManager.FILTER_CONTROLS.forEach(control => {
       const input = document.getElementById(control.id);
       if (input) {
         input.addEventListener('input', (e) => {
           this.filters[control.property] = parseFloat(e.target.value);
+          this.mixed.delete(control.property);
           this.updateFilterValue(control.id, e.target.value);
-          this.applyFilters();
+          this.applyFilters(control.property);
         });
+
+        // 拖动结束时提交一次历史记录
+        input.addEventListener('change', () => {
+          this.commitChange();
+        });
+      }
+    });
+
+    // 色调颜色
+    document.getElementById('filter-tint-color')?.addEventListener('input', (e) => {
+      this.tintColor = e.target.value;
+      if (this.filters.tint !== 0 || this.mixed.has('tint')) {
+        this.applyFilters('tintColor');
       }
     });
 
+    document.getElementById('filter-tint-color')?.addEventListener('change', () => {
+      if (this.filters.tint !== 0) {
+        this.commitChange();
+      }
+    });
+
+    // 3D LUT
+    document.getElementById('import-lut-btn')?.addEventListener('click', () => {
+      document.getElementById('lut-input')?.click();
+    });
+
+    document.getElementById('lut-input')?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.importLut(file);
+      e.target.value = '';
+    });
+
     // 重置滤镜按钮
     document.getElementById('reset-filters')?.addEventListener('click', () => {
       this.resetFilters();
@@ -48,145 +238,360 @@ export class FilterManager {
   updateFilterValue(inputId, value) {
     const input = document.getElementById(inputId);
     if (input) {
+      const control = FilterManager.FILTER_CONTROLS.find(item => item.id === inputId);
+      const isMixed = this.mixed.has(control?.property);
+      input.classList.toggle('mixed', isMixed);
+
       const valueSpan = input.parentElement.querySelector('.filter-value');
       if (valueSpan) {
-        if (inputId === 'filter-noise') {
-          valueSpan.textContent = Math.round(value);
+        const number = parseFloat(value);
+        if (isMixed) {
+          valueSpan.textContent = '—';
         } else {
-          valueSpan.textContent = parseFloat(value).toFixed(2);
+          valueSpan.textContent = control?.format ? control.format(number) : number.toFixed(2);
         }
       }
     }
   }
 
-  applyFilters() {
-    const obj = this.canvas.getActiveObject();
-    if (!obj || obj.type !== 'image') return;
+  /**
+   * 获取滤镜作用的图片：单张图片，或多选、组合中的所有图片（包括嵌套组合）
+   */
+  getFilterTargets(obj = this.canvas.getActiveObject()) {
+    if (!obj) return [];
+    if (obj.type === 'image') return [obj];
+    if (typeof obj.getObjects === 'function') {
+      return obj.getObjects().flatMap(child => this.getFilterTargets(child));
+    }
+    return [];
+  }
 
-    // 清除现有滤镜
-    obj.filters = [];
+  /**
+   * 是否为面板上的滑块、色阶与曲线所能表示的滤镜
+   */
+  isPanelFilter(filter) {
+    return filter.type === 'Curves' || readKeyFilter(filter) !== undefined ||
+      FilterManager.FILTER_CONTROLS.some(control => control.read(filter, {}) !== undefined);
+  }
 
-    // 应用亮度
-    if (this.filters.brightness !== 0) {
-      obj.filters.push(new fabric.filters.Brightness({
-        brightness: this.filters.brightness
-      }));
-    }
+  /**
+   * 从图片的滤镜列表读取滤镜设置
+   */
+  readSettings(image) {
+    const settings = {
+      filters: this.getDefaultFilters(),
+      tintColor: FilterManager.DEFAULT_TINT_COLOR,
+      tone: null,
+      lut: null,
+      key: null, // 抠图设置
+      extra: [] // 面板无法识别的滤镜
+    };
+    const matched = new Set();
 
-    // 应用对比度
-    if (this.filters.contrast !== 0) {
-      obj.filters.push(new fabric.filters.Contrast({
-        contrast: this.filters.contrast
-      }));
-    }
+    (image.filters || []).forEach(filter => {
+      if (!filter) return;
+      if (filter.type === 'Curves' && !matched.has('tone')) {
+        settings.tone = { curves: filter.curves, levels: filter.levels };
+        matched.add('tone');
+        return;
+      }
+      const key = readKeyFilter(filter);
+      if (key && !matched.has('key')) {
+        settings.key = key;
+        matched.add('key');
+        return;
+      }
 
-    // 应用饱和度
-    if (this.filters.saturation !== 0) {
-      obj.filters.push(new fabric.filters.Saturation({
-        saturation: this.filters.saturation
-      }));
-    }
+      // 同一种滤镜出现多次时，只有第一个对应滑块，其余原样保留
+      const control = FilterManager.FILTER_CONTROLS.find(item => (
+        !matched.has(item.property) && item.read(filter, {}) !== undefined
+      ));
+      if (control) {
+        settings.filters[control.property] = control.read(filter, settings);
+        matched.add(control.property);
+      } else {
+        settings.extra.push(filter);
+      }
+    });
+    return settings;
+  }
 
-    // 应用模糊
-    if (this.filters.blur > 0) {
-      obj.filters.push(new fabric.filters.Blur({
-        blur: this.filters.blur
-      }));
-    }
+  /**
+   * 当前的滤镜设置（滑块数值、色调颜色、色阶与曲线、LUT），预设也使用这个结构
+   */
+  getSettings() {
+    return {
+      filters: { ...this.filters },
+      tintColor: this.tintColor,
+      tone: this.editor.curves?.getSettings() || null,
+      lut: this.lut
+    };
+  }
+
+  /**
+   * 根据滤镜设置生成 Fabric 滤镜列表
+   * 按固定顺序排列，数值为默认值的滤镜不添加；抠图最先应用（按原图颜色判断），其次是色阶与曲线
+   */
+  buildFilters({
+    filters = {}, tintColor = FilterManager.DEFAULT_TINT_COLOR, tone = null, lut = null, key = null, extra = []
+  }) {
+    const values = { ...this.getDefaultFilters(), ...filters };
+    const curves = tone ? new Curves(tone) : null;
+    const keyFilter = createKeyFilter(key);
 
-    // 应用噪点
-    if (this.filters.noise > 0) {
-      obj.filters.push(new fabric.filters.Noise({
-        noise: this.filters.noise
-      }));
+    return [
+      ...(keyFilter && !keyFilter.isNeutralState() ? [keyFilter] : []),
+      ...(curves && !curves.isNeutralState() ? [curves] : []),
+      ...FilterManager.FILTER_CONTROLS
+        .filter(control => values[control.property] !== control.defaultValue)
+        .map(control => control.create(values[control.property], { tintColor, lut }))
+        .filter(Boolean),
+      // 面板无法识别的滤镜原样保留在最后
+      ...extra
+    ];
+  }
+
+  /**
+   * 载入一组滤镜设置并应用到所有选中的图片
+   */
+  applySettings(settings) {
+    this.filters = { ...this.getDefaultFilters(), ...settings.filters };
+    this.tintColor = settings.tintColor || FilterManager.DEFAULT_TINT_COLOR;
+    this.lut = settings.lut || null;
+    this.mixed.clear();
+    this.syncFilterInputs();
+    this.editor.curves?.setSettings(settings.tone);
+    this.applyFilters();
+  }
+
+  /**
+   * 将滤镜应用到所有选中的图片
+   * 指定 property 时只修改这一项（多选时保留各图片其他滤镜的差异），
+   * 否则用面板上的全部设置覆盖；抠图属于各图片自己，只在指定 'key' 时修改
+   */
+  applyFilters(property) {
+    const targets = this.getFilterTargets();
+    if (targets.length === 0) return;
+
+    targets.forEach(image => {
+      const own = this.readSettings(image);
+      const settings = property ? own : { ...this.getSettings(), key: own.key, extra: own.extra };
+      if (property === 'key') {
+        settings.key = this.editor.chromaKey?.getSettings() || null;
+      } else if (property === 'tone') {
+        settings.tone = this.editor.curves?.getSettings() || null;
+      } else if (property === 'tintColor') {
+        settings.tintColor = this.tintColor;
+      } else if (property) {
+        settings.filters[property] = this.filters[property];
+        if (property === 'tint') settings.tintColor = this.tintColor;
+        if (property === 'lut') settings.lut = this.lut;
+      }
+
+      image.filters = this.buildFilters(settings);
+      this.renderImage(image);
+    });
+
+    if (property) {
+      this.mixed.delete(property);
+    } else {
+      this.mixed.clear();
     }
 
-    obj.applyFilters();
     this.canvas.renderAll();
+    this.editor.curves?.scheduleHistogram(targets[0]);
+  }
+
+  /**
+   * 按图片当前的滤镜列表重新渲染（大图由 FilterRenderManager 先预览、后台再生成全尺寸结果）
+   */
+  renderImage(image) {
+    if (this.editor.filterRenderer) {
+      this.editor.filterRenderer.render(image);
+    } else {
+      image.applyFilters();
+    }
+    this.markParentsDirty(image);
+  }
+
+  /**
+   * 组合中的图片滤镜变化后，组合的缓存也需要刷新
+   */
+  markParentsDirty(image) {
+    let parent = image.parent || image.group;
+    while (parent) {
+      parent.set('dirty', true);
+      parent = parent.parent || parent.group;
+    }
   }
 
   updateFilterUI(obj) {
-    // 从对象的滤镜中读取当前值
-    this.filters = {
-      brightness: 0,
-      contrast: 0,
-      saturation: 0,
-      blur: 0,
-      noise: 0
-    };
+    // 从对象的滤镜中读取当前值，多选时以第一张图片为准并标记数值不同的滑块
+    const targets = this.getFilterTargets(obj);
+    if (targets.length === 0) return;
 
-    if (obj.filters) {
-      obj.filters.forEach(filter => {
-        if (filter.type === 'Brightness') {
-          this.filters.brightness = filter.brightness || 0;
-        } else if (filter.type === 'Contrast') {
-          this.filters.contrast = filter.contrast || 0;
-        } else if (filter.type === 'Saturation') {
-          this.filters.saturation = filter.saturation || 0;
-        } else if (filter.type === 'Blur') {
-          this.filters.blur = filter.blur || 0;
-        } else if (filter.type === 'Noise') {
-          this.filters.noise = filter.noise || 0;
-        }
-      });
+    const [first, ...rest] = targets.map(image => this.readSettings(image));
+    this.filters = first.filters;
+    this.tintColor = first.tintColor;
+    this.lut = first.lut;
+    this.mixed = new Set(
+      Object.keys(first.filters).filter(key => rest.some(settings => settings.filters[key] !== first.filters[key]))
+    );
+    if (rest.some(settings => settings.lut?.src !== first.lut?.src)) {
+      this.mixed.add('lut');
+    }
+    const toneKey = settings => JSON.stringify(settings.tone && new Curves(settings.tone).toObject());
+    if (rest.some(settings => toneKey(settings) !== toneKey(first))) {
+      this.mixed.add('tone');
+    }
+    if (rest.some(settings => JSON.stringify(settings.key) !== JSON.stringify(first.key))) {
+      this.mixed.add('key');
     }
 
     // 更新UI
-    const brightnessInput = document.getElementById('filter-brightness');
-    if (brightnessInput) {
-      brightnessInput.value = this.filters.brightness;
-      this.updateFilterValue('filter-brightness', this.filters.brightness);
-    }
+    this.syncFilterInputs();
+    this.editor.curves?.updateFromImage(targets[0], this.mixed.has('tone'));
+    this.editor.chromaKey?.setSettings(first.key, this.mixed.has('key'));
+    this.editor.presets?.renderPresets();
+    this.renderExtraFilters(targets);
+  }
 
-    const contrastInput = document.getElementById('filter-contrast');
-    if (contrastInput) {
-      contrastInput.value = this.filters.contrast;
-      this.updateFilterValue('filter-contrast', this.filters.contrast);
-    }
+  /**
+   * 将滤镜调整提交到历史记录
+   */
+  commitChange() {
+    if (this.getFilterTargets().length === 0) return;
+    // 调整结束，立即开始计算大图的全尺寸结果
+    this.editor.filterRenderer?.flush();
+    this.editor.history.saveState();
+  }
 
-    const saturationInput = document.getElementById('filter-saturation');
-    if (saturationInput) {
-      saturationInput.value = this.filters.saturation;
-      this.updateFilterValue('filter-saturation', this.filters.saturation);
+  /**
+   * 列出面板无法识别的滤镜（多选时按类型合并，并显示所在图片数量）
+   */
+  renderExtraFilters(targets = this.getFilterTargets()) {
+    const group = document.getElementById('extra-filters');
+    const list = document.getElementById('extra-filters-list');
+    if (!group || !list) return;
+
+    const counts = new Map();
+    targets.forEach(image => {
+      new Set(this.readSettings(image).extra.map(filter => filter.type)).forEach(type => {
+        counts.set(type, (counts.get(type) || 0) + 1);
+      });
+    });
+
+    group.classList.toggle('hidden', counts.size === 0);
+    list.innerHTML = '';
+
+    counts.forEach((count, type) => {
+      const item = document.createElement('div');
+      item.className = 'extra-filter';
+
+      const name = document.createElement('span');
+      name.textContent = targets.length > 1 ? `${type}（${count}/${targets.length}）` : type;
+      item.appendChild(name);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'extra-filter-remove';
+      removeBtn.title = '移除此滤镜';
+      removeBtn.innerHTML = '&times;';
+      removeBtn.addEventListener('click', () => this.removeExtraFilter(type));
+      item.appendChild(removeBtn);
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * 从选中的图片中移除指定类型的未识别滤镜
+   */
+  removeExtraFilter(type) {
+    const targets = this.getFilterTargets();
+    targets.forEach(image => {
+      const { extra } = this.readSettings(image);
+      const removed = extra.filter(filter => filter.type === type);
+      if (removed.length === 0) return;
+
+      image.filters = image.filters.filter(filter => !removed.includes(filter));
+      this.renderImage(image);
+    });
+
+    this.canvas.renderAll();
+    this.renderExtraFilters(targets);
+    this.editor.curves?.scheduleHistogram(targets[0]);
+    this.editor.history.saveState();
+  }
+
+  /**
+   * 将当前滤镜数值同步到滑块和数值标签
+   */
+  syncFilterInputs() {
+    FilterManager.FILTER_CONTROLS.forEach(control => {
+      const input = document.getElementById(control.id);
+      if (input) {
+        input.value = this.filters[control.property];
+        this.updateFilterValue(control.id, this.filters[control.property]);
+      }
+    });
+
+    const tintColorInput = document.getElementById('filter-tint-color');
+    if (tintColorInput && /^#[0-9a-f]{6}$/i.test(this.tintColor)) {
+      tintColorInput.value = this.tintColor;
     }
 
-    const blurInput = document.getElementById('filter-blur');
-    if (blurInput) {
-      blurInput.value = this.filters.blur;
-      this.updateFilterValue('filter-blur', this.filters.blur);
+    // 没有载入 LUT 时强度滑块不可用
+    const lutInput = document.getElementById('filter-lut');
+    if (lutInput) lutInput.disabled = !this.lut;
+    const lutName = document.getElementById('lut-name');
+    if (lutName) {
+      lutName.textContent = this.mixed.has('lut') ? '多个 LUT' : (this.lut?.name || '未载入');
+      lutName.title = lutName.textContent;
     }
+  }
 
-    const noiseInput = document.getElementById('filter-noise');
-    if (noiseInput) {
-      noiseInput.value = this.filters.noise;
-      this.updateFilterValue('filter-noise', this.filters.noise);
+  /**
+   * 导入 .cube 文件并应用到选中的图片
+   */
+  async importLut(file) {
+    try {
+      const { src, title } = createCubeSource(await file.text());
+      this.lut = { src, name: title || file.name.replace(/\.cube$/i, '') };
+    } catch (error) {
+      console.error('导入 LUT 失败:', error);
+      this.editor.showToast('导入 LUT 失败: ' + error.message, 'error');
+      return;
     }
+
+    if (this.filters.lut === 0) this.filters.lut = 1;
+    this.mixed.delete('lut');
+    this.syncFilterInputs();
+    this.applyFilters('lut');
+    this.commitChange();
+    this.editor.showToast(`已载入 LUT「${this.lut.name}」`, 'success');
   }
 
   resetFilters() {
-    this.filters = {
-      brightness: 0,
-      contrast: 0,
-      saturation: 0,
-      blur: 0,
-      noise: 0
-    };
+    this.filters = this.getDefaultFilters();
+    this.tintColor = FilterManager.DEFAULT_TINT_COLOR;
+    this.lut = null;
+    this.mixed.clear();
 
     // 重置UI
-    ['filter-brightness', 'filter-contrast', 'filter-saturation', 'filter-blur', 'filter-noise'].forEach(id => {
-      const input = document.getElementById(id);
-      if (input) {
-        input.value = id === 'filter-noise' ? 0 : 0;
-        this.updateFilterValue(id, 0);
-      }
-    });
+    this.syncFilterInputs();
+    this.editor.curves?.reset();
+    this.editor.chromaKey?.reset();
 
-    // 应用（清除）滤镜
-    const obj = this.canvas.getActiveObject();
-    if (obj && obj.type === 'image') {
-      obj.filters = [];
-      obj.applyFilters();
+    // 应用（清除）滤镜，面板无法识别的滤镜保留，可在列表中单独移除
+    const targets = this.getFilterTargets();
+    if (targets.length > 0) {
+      targets.forEach(image => {
+        image.filters = (image.filters || []).filter(filter => filter && !this.isPanelFilter(filter));
+        this.renderImage(image);
+      });
       this.canvas.renderAll();
+      this.renderExtraFilters(targets);
+      this.editor.curves?.scheduleHistogram(targets[0]);
       this.editor.history.saveState();
     }
   }
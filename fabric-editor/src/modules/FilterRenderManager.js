@@ -0,0 +1,275 @@
+import * as fabric from 'fabric';
+
+/**
+ * Filter Render Manager - 大图滤镜的后台处理
+ *
+ * 大图调整滤镜时先在缩小的代理图上预览，停止调整（或松开滑块）后
+ * 在 Web Worker 中用 OffscreenCanvas 计算全尺寸结果；计算期间数值再次变化时取消旧任务。
+ * 图片的 filters 始终是最新设置，后台处理只影响显示的像素，不影响序列化和历史记录。
+ */
+export class FilterRenderManager {
+  // 长边超过此尺寸（像素）的图片使用代理预览和后台处理
+  static PROXY_THRESHOLD = 1600;
+
+  // 代理图的长边尺寸
+  static PROXY_SIZE = 800;
+
+  // 停止调整多久后开始计算全尺寸结果（毫秒）
+  static FULL_RES_DELAY = 400;
+
+  constructor(editor) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.jobs = new Map();        // 图片 -> 全尺寸处理任务
+    this.proxies = new WeakMap(); // 图片 -> 代理图画布
+  }
+
+  isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function';
+  }
+
+  getSourceSize(image) {
+    const element = image._originalElement;
+    return {
+      width: element.naturalWidth || element.width,
+      height: element.naturalHeight || element.height
+    };
+  }
+
+  /**
+   * 是否需要代理预览：大图、浏览器支持后台处理，且没有缩放滤镜
+   */
+  shouldUseProxy(image) {
+    if (!this.isSupported() || !image._originalElement || image.resizeFilter) return false;
+    const { width, height } = this.getSourceSize(image);
+    return Math.max(width, height) > FilterRenderManager.PROXY_THRESHOLD;
+  }
+
+  getActiveFilters(image) {
+    return (image.filters || []).filter(filter => filter && !filter.isNeutralState());
+  }
+
+  /**
+   * 滤镜设置的标识，用于判断后台结果是否仍然有效
+   */
+  getSignature(filters) {
+    return JSON.stringify(filters.map(filter => filter.toObject()));
+  }
+
+  /**
+   * 按图片当前的 filters 重新渲染：小图直接处理，大图先显示代理预览再安排后台处理
+   */
+  render(image) {
+    this.cancel(image);
+
+    const filters = this.getActiveFilters(image);
+    if (filters.length === 0 || !this.shouldUseProxy(image)) {
+      this.applyDirectly(image);
+      return;
+    }
+
+    this.renderProxy(image, filters);
+
+    const job = {
+      filters: filters.map(filter => filter.toObject()),
+      signature: this.getSignature(filters),
+      progress: 0,
+      worker: null,
+      timer: null
+    };
+    job.timer = setTimeout(() => this.start(image, job), FilterRenderManager.FULL_RES_DELAY);
+    this.jobs.set(image, job);
+    this.updateProgress();
+  }
+
+  /**
+   * 在主线程直接应用滤镜
+   * Fabric 只在结果尺寸与原图不同时更新缩放比例，代理预览留下的比例需要先还原
+   */
+  applyDirectly(image) {
+    image._filterScalingX = 1;
+    image._filterScalingY = 1;
+    image.applyFilters();
+  }
+
+  /**
+   * 在缩小的原图上应用滤镜，作为图片临时显示的内容
+   */
+  renderProxy(image, filters) {
+    const source = image._originalElement;
+    const { width: sourceWidth, height: sourceHeight } = this.getSourceSize(image);
+    const scale = FilterRenderManager.PROXY_SIZE / Math.max(sourceWidth, sourceHeight);
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    let proxy = this.proxies.get(image);
+    if (!proxy || proxy.source !== source) {
+      const input = document.createElement('canvas');
+      input.width = width;
+      input.height = height;
+      input.getContext('2d').drawImage(source, 0, 0, width, height);
+      proxy = { source, input, output: document.createElement('canvas') };
+      this.proxies.set(image, proxy);
+    }
+
+    proxy.output.width = width;
+    proxy.output.height = height;
+    fabric.getFilterBackend().applyFilters(filters, proxy.input, width, height, proxy.output);
+
+    // Fabric 之后直接调用 applyFilters 时会复用 _filteredEl，需要保证它是全尺寸画布
+    if (!image._filteredEl) {
+      image._filteredEl = document.createElement('canvas');
+      image._filteredEl.width = sourceWidth;
+      image._filteredEl.height = sourceHeight;
+    }
+
+    image._element = proxy.output;
+    image._filterScalingX = width / sourceWidth;
+    image._filterScalingY = height / sourceHeight;
+    image.set('dirty', true);
+  }
+
+  /**
+   * 立即开始所有等待中的全尺寸处理（松开滑块时调用）
+   */
+  flush() {
+    this.jobs.forEach((job, image) => {
+      if (job.timer) {
+        clearTimeout(job.timer);
+        this.start(image, job);
+      }
+    });
+  }
+
+  async start(image, job) {
+    job.timer = null;
+
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(image._originalElement);
+    } catch (error) {
+      this.fallback(image, job, error.message);
+      return;
+    }
+
+    // 等待期间任务已被取消或替换
+    if (this.jobs.get(image) !== job) {
+      bitmap.close();
+      return;
+    }
+
+    const worker = new Worker(new URL('./FilterWorker.js', import.meta.url), { type: 'module' });
+    job.worker = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        job.progress = data.progress;
+        this.updateProgress();
+      } else if (data.type === 'done') {
+        this.finish(image, job, data.bitmap);
+      } else {
+        this.fallback(image, job, data.message);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      this.fallback(image, job, e.message);
+    };
+    worker.postMessage({ filters: job.filters, bitmap }, [bitmap]);
+  }
+
+  /**
+   * 用后台计算的全尺寸结果替换代理预览
+   */
+  finish(image, job, bitmap) {
+    if (this.jobs.get(image) !== job) {
+      bitmap.close();
+      return;
+    }
+    this.jobs.delete(image);
+    job.worker.terminate();
+
+    // 图片已被删除，或滤镜已被其他操作（如撤销）改变
+    if (!image.canvas || this.getSignature(this.getActiveFilters(image)) !== job.signature) {
+      bitmap.close();
+      this.updateProgress();
+      return;
+    }
+
+    const element = image._filteredEl;
+    element.width = bitmap.width;
+    element.height = bitmap.height;
+    element.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    image._element = element;
+    image._filterScalingX = 1;
+    image._filterScalingY = 1;
+    image.set('dirty', true);
+    this.editor.filterManager.markParentsDirty(image);
+    this.canvas.requestRenderAll();
+
+    const [target] = this.editor.filterManager.getFilterTargets();
+    if (target) this.editor.curves?.scheduleHistogram(target);
+    this.updateProgress();
+  }
+
+  /**
+   * 后台处理失败时在主线程直接处理
+   */
+  fallback(image, job, message) {
+    if (this.jobs.get(image) !== job) return;
+    console.warn('后台滤镜处理失败，改为直接处理:', message);
+    this.cancel(image);
+    if (image.canvas) {
+      this.applyDirectly(image);
+      this.editor.filterManager.markParentsDirty(image);
+      this.canvas.requestRenderAll();
+    }
+  }
+
+  /**
+   * 取消图片正在等待或进行中的全尺寸处理
+   */
+  cancel(image) {
+    const job = this.jobs.get(image);
+    if (!job) return;
+
+    clearTimeout(job.timer);
+    job.worker?.terminate();
+    this.jobs.delete(image);
+    this.updateProgress();
+  }
+
+  hasPending() {
+    return this.jobs.size > 0;
+  }
+
+  /**
+   * 在主线程立即完成所有未完成的处理（导出前调用，保证导出全尺寸结果）
+   */
+  finishPending() {
+    [...this.jobs.keys()].forEach(image => {
+      this.cancel(image);
+      this.applyDirectly(image);
+      this.editor.filterManager.markParentsDirty(image);
+    });
+  }
+
+  updateProgress() {
+    const container = document.getElementById('filter-progress');
+    if (!container) return;
+
+    const jobs = [...this.jobs.values()];
+    container.classList.toggle('hidden', jobs.length === 0);
+    if (jobs.length === 0) return;
+
+    const progress = jobs.reduce((sum, job) => sum + job.progress, 0) / jobs.length;
+    const percent = Math.round(progress * 100);
+    const bar = document.getElementById('filter-progress-bar');
+    if (bar) bar.style.width = `${percent}%`;
+    const text = document.getElementById('filter-progress-text');
+    if (text) text.textContent = `正在生成全尺寸效果 ${percent}%`;
+  }
+}
@@ -0,0 +1,40 @@
+import * as fabric from 'fabric';
+import './ImageFilters.js';
+
+/**
+ * 滤镜后台线程：在 OffscreenCanvas 上用 Canvas 2D 方式处理全尺寸图片
+ *
+ * 收到 { filters, bitmap }（filters 为滤镜的序列化数据），
+ * 每处理完一个滤镜发送 { type: 'progress', progress }，
+ * 完成后发送 { type: 'done', bitmap }，出错时发送 { type: 'error', message }。
+ */
+self.onmessage = async ({ data: { filters, bitmap } }) => {
+  try {
+    const instances = await fabric.util.enlivenObjects(filters);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const state = {
+      sourceWidth: canvas.width,
+      sourceHeight: canvas.height,
+      imageData: ctx.getImageData(0, 0, canvas.width, canvas.height),
+      canvasEl: canvas,
+      ctx
+    };
+    self.postMessage({ type: 'progress', progress: 0 });
+
+    instances.forEach((filter, index) => {
+      // 部分滤镜会替换 state.imageData，始终使用最新的结果
+      filter.applyTo(state);
+      self.postMessage({ type: 'progress', progress: (index + 1) / instances.length });
+    });
+
+    ctx.putImageData(state.imageData, 0, 0);
+    const result = canvas.transferToImageBitmap();
+    self.postMessage({ type: 'done', bitmap: result }, [result]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -1,14 +1,44 @@
+import * as fabric from 'fabric';
+
+/**
+ * 比较两个序列化值是否相同
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
 /**
- * History Manager - 撤销/重做系统（优化版）
+ * History Manager - 撤销/重做系统（命令模式）
+ *
+ * 每次保存时与上一次快照逐对象比较，只记录新增、删除、属性变化和层级变化，
+ * 撤销/重做时仅修改受影响的对象，而不是整体重新加载画布。
  */
 export class HistoryManager {
+  // 序列化时额外包含的自定义属性
+  static SERIALIZED_PROPERTIES = [
+    'id', 'name', 'filters', 'crossOrigin', '_isPlaceholder',
+    '_shapeType', '_bubbleWidth', '_bubbleHeight', '_tailSize',
+    '_sides', '_starPoints', '_innerRadius',
+    '_boundTextId', '_boundShapeId'
+  ];
+
+  // 比较时忽略的属性
+  static IGNORED_PROPERTIES = ['version', 'id'];
+
+  // 变化后无法原地修改、需要重建对象的属性
+  static REPLACE_PROPERTIES = ['type', 'objects', 'path', 'points', 'assetId'];
+
   constructor(editor, maxStates = 50) {
     this.editor = editor;
     this.maxStates = maxStates;
     this.undoStack = [];
     this.redoStack = [];
+    this.snapshot = null;
     this.isRestoring = false;
     this.isSaving = false;
+    this.hasPendingSave = false; // 裁剪期间有被推迟的保存
 
     // 防抖定时器
     this.debounceTimer = null;
@@ -64,38 +94,60 @@ export class HistoryManager {
   }
 
   /**
-   * 实际执行保存状态
+   * 裁剪结束后补存裁剪期间推迟的修改
+   */
+  flushPendingSave() {
+    if (this.hasPendingSave) this.saveState();
+  }
+
+  /**
+   * 实际执行保存状态：与上一次快照比较，只记录发生变化的对象
    */
   _doSaveState() {
     if (this.isRestoring || this.isSaving) return;
 
+    // 裁剪过程中图片临时展开，等应用或取消裁剪后再记录
+    if (this.editor.cropManager?.isInCropMode()) {
+      this.hasPendingSave = true;
+      return;
+    }
+    this.hasPendingSave = false;
+
     this.isSaving = true;
 
     try {
-      const state = this.editor.canvas.toJSON([
-        'id', 'selectable', 'evented', 'name',
-        'filters', 'crossOrigin', 'src', '_isPlaceholder',
-        '_shapeType', '_bubbleWidth', '_bubbleHeight', '_tailSize'
-      ]);
+      const snapshot = this.captureSnapshot();
 
-      const stateStr = JSON.stringify(state);
-
-      // 避免保存重复状态
-      if (this.undoStack.length > 0 &&
-          this.undoStack[this.undoStack.length - 1] === stateStr) {
-        this.isSaving = false;
+      // 首次保存只建立基准快照
+      if (!this.snapshot) {
+        this.snapshot = snapshot;
+        this.updateButtons();
         return;
       }
 
-      this.undoStack.push(stateStr);
+      const command = this.diffSnapshots(this.snapshot, snapshot);
+      this.snapshot = snapshot;
+
+      // 避免保存重复状态
+      if (!command) return;
+
+      this.undoStack.push(command);
+      let discarded = this.redoStack.length > 0;
       this.redoStack = []; // 清空重做栈
 
       // 限制最大状态数
       if (this.undoStack.length > this.maxStates) {
         this.undoStack.shift();
+        discarded = true;
+      }
+
+      // 丢弃的命令可能是某些图片资源的唯一引用
+      if (discarded) {
+        this.pruneAssets();
       }
 
       this.updateButtons();
+      this.editor.autosave?.markDirty();
     } catch (error) {
       console.error('保存状态失败:', error);
     } finally {
@@ -104,46 +156,195 @@ export class HistoryManager {
   }
 
   /**
-   * 撤销操作
+   * 兜底确保对象拥有唯一ID（历史记录依赖ID定位对象）
    */
-  undo() {
-    if (this.undoStack.length <= 1 || this.isRestoring) return;
+  ensureObjectId(obj, usedIds) {
+    if (!obj.id || usedIds?.has(obj.id)) {
+      obj.id = this.editor.tools.createObjectId();
+    }
+    return obj.id;
+  }
 
-    // 清除防抖定时器
-    if (this.debounceTimer) {
-      clearTimeout(this.debounceTimer);
-      this.debounceTimer = null;
+  /**
+   * 判断对象是否应被历史记录跟踪（裁剪框、遮罩等临时对象除外）
+   */
+  isTrackedObject(obj) {
+    return !obj.excludeFromExport;
+  }
+
+  /**
+   * 序列化单个对象（活动选区中的对象会换算为画布坐标，图片 src 替换为资源ID）
+   */
+  serializeObject(obj) {
+    const group = obj.group;
+    if (!group || group.type !== 'activeselection') {
+      return this.editor.assets.dehydrate(obj.toObject(HistoryManager.SERIALIZED_PROPERTIES));
     }
 
-    const currentState = this.undoStack.pop();
-    this.redoStack.push(currentState);
+    // 活动选区中的对象坐标相对于选区，临时叠加选区变换后再序列化
+    const original = {
+      left: obj.left, top: obj.top, angle: obj.angle,
+      scaleX: obj.scaleX, scaleY: obj.scaleY, skewX: obj.skewX, skewY: obj.skewY,
+      flipX: obj.flipX, flipY: obj.flipY
+    };
+    fabric.util.addTransformToObject(obj, group.calcOwnMatrix());
+    const data = obj.toObject(HistoryManager.SERIALIZED_PROPERTIES);
+    obj.set(original);
+    return this.editor.assets.dehydrate(data);
+  }
+
+  /**
+   * 采集当前画布快照：对象ID -> 序列化数据，以及对象顺序和画布属性
+   */
+  captureSnapshot() {
+    const canvas = this.editor.canvas;
+    const objects = new Map();
+    const order = [];
+
+    canvas.getObjects().forEach(obj => {
+      if (!this.isTrackedObject(obj)) return;
+      const id = this.ensureObjectId(obj, objects);
+      objects.set(id, this.serializeObject(obj));
+      order.push(id);
+    });
+
+    return {
+      objects,
+      order,
+      canvas: this.captureCanvasState()
+    };
+  }
 
-    const previousState = this.undoStack[this.undoStack.length - 1];
-    this.restoreState(previousState);
+  /**
+   * 采集画布级属性（尺寸和背景色）
+   */
+  captureCanvasState() {
+    const canvas = this.editor.canvas;
+    return {
+      width: this.editor.canvasWidth,
+      height: this.editor.canvasHeight,
+      backgroundColor: canvas.backgroundColor
+    };
   }
 
   /**
-   * 重做操作
+   * 比较两个快照，生成可逆的命令；没有变化时返回 null
    */
-  redo() {
-    if (this.redoStack.length === 0 || this.isRestoring) return;
+  diffSnapshots(prev, next) {
+    const command = {
+      added: [],
+      removed: [],
+      modified: [],
+      order: null,
+      canvas: null
+    };
 
-    // 清除防抖定时器
-    if (this.debounceTimer) {
-      clearTimeout(this.debounceTimer);
-      this.debounceTimer = null;
+    next.objects.forEach((data, id) => {
+      const before = prev.objects.get(id);
+      if (!before) {
+        command.added.push({ id, data });
+        return;
+      }
+
+      const changes = this.diffProperties(before, data);
+      if (changes) {
+        command.modified.push({ id, ...changes });
+      }
+    });
+
+    prev.objects.forEach((data, id) => {
+      if (!next.objects.has(id)) {
+        command.removed.push({ id, data });
+      }
+    });
+
+    if (prev.order.join('|') !== next.order.join('|')) {
+      command.order = { before: prev.order, after: next.order };
+    }
+
+    const canvasChanges = this.diffProperties(prev.canvas, next.canvas);
+    if (canvasChanges) {
+      command.canvas = canvasChanges;
     }
 
-    const nextState = this.redoStack.pop();
-    this.undoStack.push(nextState);
+    const isEmpty = !command.added.length && !command.removed.length &&
+      !command.modified.length && !command.order && !command.canvas;
+
+    return isEmpty ? null : command;
+  }
+
+  /**
+   * 比较两个属性对象，返回变化前后的属性（只包含变化的键）
+   */
+  diffProperties(prev, next) {
+    const before = {};
+    const after = {};
+    let changed = false;
+
+    new Set([...Object.keys(prev), ...Object.keys(next)]).forEach(key => {
+      if (HistoryManager.IGNORED_PROPERTIES.includes(key)) return;
+      if (isSameValue(prev[key], next[key])) return;
+      before[key] = prev[key];
+      after[key] = next[key];
+      changed = true;
+    });
+
+    return changed ? { before, after } : null;
+  }
+
+  /**
+   * 撤销操作
+   */
+  async undo() {
+    if (this.isRestoring || this.editor.cropManager?.isInCropMode()) return;
+
+    // 先提交尚未保存的修改，使其也能被撤销
+    this.flushPendingState();
+    if (this.undoStack.length === 0) return;
+
+    const command = this.undoStack.pop();
+    this.redoStack.push(command);
 
-    this.restoreState(nextState);
+    await this.applyCommand(command, 'undo');
+    this.editor.autosave?.markDirty();
   }
 
   /**
-   * 恢复到指定状态
+   * 重做操作
    */
-  restoreState(stateJson) {
+  async redo() {
+    if (this.isRestoring || this.editor.cropManager?.isInCropMode()) return;
+
+    // 先提交尚未保存的修改；有新修改时重做栈已被清空
+    this.flushPendingState();
+    if (this.redoStack.length === 0) return;
+
+    const command = this.redoStack.pop();
+    this.undoStack.push(command);
+
+    await this.applyCommand(command, 'redo');
+    this.editor.autosave?.markDirty();
+  }
+
+  /**
+   * 立即执行等待中的防抖保存
+   */
+  flushPendingState() {
+    if (!this.debounceTimer) return;
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+    this._doSaveState();
+  }
+
+  /**
+   * 正向或反向执行命令，只处理受影响的对象
+   */
+  async applyCommand(command, direction) {
+    const isUndo = direction === 'undo';
+    const side = isUndo ? 'before' : 'after';
+    const toRemove = isUndo ? command.added : command.removed;
+    const toCreate = isUndo ? command.removed : command.added;
+
     this.isRestoring = true;
 
     const canvas = this.editor.canvas;
@@ -152,97 +353,184 @@ export class HistoryManager {
     canvas.discardActiveObject();
 
     try {
-      const state = JSON.parse(stateJson);
+      const revived = [];
 
-      canvas.loadFromJSON(state).then(() => {
-        canvas.renderAll();
-        this.isRestoring = false;
-        this.updateButtons();
+      // 移除对象
+      toRemove.forEach(({ id }) => {
+        const obj = this.findObjectById(id);
+        if (obj) this.discardObject(obj, revived);
+      });
 
-        // 确保所有对象可选，并为文本框绑定事件
-        canvas.forEachObject(obj => {
-          if (obj.name !== 'cropRect') {
-            obj.selectable = true;
-            obj.evented = true;
-          }
-          // 为文本框绑定PPT风格事件（排除气泡文本）
-          if (obj.type === 'textbox' && obj._shapeType !== 'bubbleText') {
-            this.setupRestoredTextBox(obj);
-          }
+      // 重新创建对象
+      if (toCreate.length > 0) {
+        const assets = this.editor.assets;
+        const created = await fabric.util.enlivenObjects(toCreate.map(entry => assets.hydrate(entry.data)));
+        created.forEach(obj => {
+          canvas.add(obj);
+          revived.push(obj);
         });
+      }
 
-        // 恢复气泡和文本的绑定关系
-        this.restoreBubbleTextBindings();
-      }).catch(error => {
-        console.error('恢复状态失败:', error);
-        this.isRestoring = false;
-      });
+      // 还原属性变化
+      for (const change of command.modified) {
+        const obj = this.findObjectById(change.id);
+        if (!obj) continue;
+        const replaced = await this.applyObjectChanges(obj, change[side], revived);
+        if (replaced) revived.push(replaced);
+      }
+
+      // 还原画布属性
+      if (command.canvas) {
+        this.applyCanvasState(command.canvas[side]);
+      }
+
+      // 还原对象层级
+      if (command.order) {
+        this.applyOrder(command.order[side]);
+      }
+
+      this.reviveObjects(revived);
+      canvas.renderAll();
     } catch (error) {
-      console.error('解析状态失败:', error);
+      console.error('恢复状态失败:', error);
+    } finally {
+      // 同步快照，避免下一次比较把撤销本身当作新的修改
+      this.snapshot = this.captureSnapshot();
       this.isRestoring = false;
+      this.updateButtons();
     }
   }
 
   /**
-   * 恢复气泡和文本的绑定关系
+   * 释放历史记录中不再引用的图片资源
    */
-  restoreBubbleTextBindings() {
-    const canvas = this.editor.canvas;
-    const bindableShapes = [];  // 包括 bubble, rect, circle, triangle
-    const shapeTexts = [];      // 包括 bubbleText, shapeText
-
-    // 找出所有可绑定形状和形状文本
-    canvas.forEachObject(obj => {
-      if (['bubble', 'rect', 'circle', 'triangle'].includes(obj._shapeType)) {
-        bindableShapes.push(obj);
-      } else if (['bubbleText', 'shapeText'].includes(obj._shapeType)) {
-        shapeTexts.push(obj);
+  pruneAssets() {
+    const assets = this.editor.assets;
+    const ids = new Set();
+
+    this.snapshot?.objects.forEach(data => assets.collectIds(data, ids));
+    [...this.undoStack, ...this.redoStack].forEach(command => {
+      assets.collectIds([command.added, command.removed, command.modified], ids);
+    });
+
+    assets.prune(ids);
+  }
+
+  /**
+   * 根据ID查找画布对象
+   */
+  findObjectById(id) {
+    return this.editor.canvas.getObjects().find(obj => obj.id === id) || null;
+  }
+
+  /**
+   * 从画布移除对象，并解除它与绑定文本/形状的关联
+   */
+  discardObject(obj, revived) {
+    const partner = obj._boundText || obj._boundShape || obj._boundBubble;
+
+    // 移除事件，防止联动删除绑定对象
+    obj.off();
+    this.editor.canvas.remove(obj);
+
+    if (partner && this.editor.canvas.contains(partner)) {
+      // 伙伴对象的联动事件引用了已移除的对象，需要重新绑定
+      partner.off();
+      delete partner._boundText;
+      delete partner._boundShape;
+      delete partner._boundBubble;
+      revived.push(partner);
+    }
+  }
+
+  /**
+   * 在原对象上应用属性变化；无法原地修改时替换为新对象并返回新对象
+   */
+  async applyObjectChanges(obj, props, revived) {
+    const needsReplace = Object.keys(props).some(key => HistoryManager.REPLACE_PROPERTIES.includes(key));
+
+    if (needsReplace) {
+      const canvas = this.editor.canvas;
+      const data = this.editor.assets.hydrate({ ...this.serializeObject(obj), ...props });
+      const [replacement] = await fabric.util.enlivenObjects([data]);
+      const index = canvas.getObjects().indexOf(obj);
+      this.discardObject(obj, revived);
+      canvas.insertAt(index, replacement);
+      return replacement;
+    }
+
+    const { filters, resizeFilter, ...rest } = this.editor.assets.hydrate(props);
+    // 阴影、裁剪路径、渐变等需要先还原为实例
+    const hydrated = await fabric.util.enlivenObjectEnlivables(rest);
+
+    obj.set(hydrated);
+
+    if (filters !== undefined || resizeFilter !== undefined) {
+      if (filters !== undefined) {
+        obj.filters = filters ? await fabric.util.enlivenObjects(filters) : [];
+      }
+      if (resizeFilter !== undefined) {
+        obj.resizeFilter = resizeFilter ? (await fabric.util.enlivenObjects([resizeFilter]))[0] : undefined;
+      }
+      // 大图交给后台处理，避免撤销时卡顿
+      if (this.editor.filterRenderer) {
+        this.editor.filterRenderer.render(obj);
+      } else {
+        obj.applyFilters();
       }
+    }
+
+    obj.setCoords();
+    return null;
+  }
+
+  /**
+   * 应用画布级属性
+   */
+  applyCanvasState(state) {
+    if ('width' in state || 'height' in state) {
+      this.editor.setCanvasSize(
+        state.width ?? this.editor.canvasWidth,
+        state.height ?? this.editor.canvasHeight
+      );
+    }
+    if ('backgroundColor' in state) {
+      this.editor.canvas.backgroundColor = state.backgroundColor;
+      this.editor.syncBackgroundInput();
+    }
+  }
+
+  /**
+   * 按ID顺序重排对象层级
+   */
+  applyOrder(order) {
+    const canvas = this.editor.canvas;
+    order.forEach((id, index) => {
+      const obj = this.findObjectById(id);
+      if (obj) canvas.moveObjectTo(obj, index);
     });
+  }
 
-    // 为每个形状找到最近的文本并绑定
-    bindableShapes.forEach(shape => {
-      const shapeCenter = shape.getCenterPoint();
-      let closestText = null;
-      let minDistance = Infinity;
-
-      shapeTexts.forEach(text => {
-        if (text._boundBubble || text._boundShape) return; // 已绑定的跳过
-        const textCenter = text.getCenterPoint();
-        const distance = Math.sqrt(
-          Math.pow(shapeCenter.x - textCenter.x, 2) +
-          Math.pow(shapeCenter.y - textCenter.y, 2)
-        );
-        if (distance < minDistance) {
-          minDistance = distance;
-          closestText = text;
-        }
-      });
+  /**
+   * 为重新创建的对象恢复交互和事件
+   */
+  reviveObjects(objects) {
+    objects.forEach(obj => {
+      if (!this.editor.canvas.contains(obj)) return;
 
-      if (closestText) {
-        // 设置文本属性
-        closestText.set({
-          hasControls: false,
-          hasBorders: false,
-          lockMovementX: true,
-          lockMovementY: true
-        });
+      obj.selectable = true;
+      obj.evented = true;
 
-        if (shape._shapeType === 'bubble') {
-          // 气泡绑定
-          shape._boundText = closestText;
-          closestText._boundBubble = shape;
-          this.editor.tools.bindBubbleTextEvents(shape, closestText);
-          this.editor.tools.setupBubbleTextEvents(closestText);
-        } else {
-          // 形状绑定（rect, circle, triangle）
-          shape._boundText = closestText;
-          closestText._boundShape = shape;
-          this.editor.tools.bindShapeTextEvents(shape, closestText);
-          this.editor.tools.setupShapeTextEvents(closestText);
-        }
+      // 为文本框绑定PPT风格事件（排除气泡文本）
+      if (obj.type === 'textbox' && obj._shapeType !== 'bubbleText') {
+        this.setupRestoredTextBox(obj);
       }
     });
+
+    // 恢复气泡和文本的绑定关系
+    if (objects.length > 0) {
+      this.editor.tools.restoreShapeTextBindings();
+    }
   }
 
   /**
@@ -324,8 +612,8 @@ export class HistoryManager {
     const redoBtn = document.getElementById('redo-btn');
 
     if (undoBtn) {
-      undoBtn.disabled = this.undoStack.length <= 1;
-      undoBtn.title = `撤销 (Ctrl+Z) [${this.undoStack.length - 1}]`;
+      undoBtn.disabled = this.undoStack.length === 0;
+      undoBtn.title = `撤销 (Ctrl+Z) [${this.undoStack.length}]`;
     }
     if (redoBtn) {
       redoBtn.disabled = this.redoStack.length === 0;
@@ -345,7 +633,30 @@ export class HistoryManager {
 
     this.undoStack = [];
     this.redoStack = [];
+    this.snapshot = null;
     this.saveStateImmediate();
+    this.pruneAssets();
+  }
+
+  /**
+   * 导出撤销/重做记录（用于自动保存）
+   */
+  exportStacks() {
+    return {
+      undoStack: this.undoStack,
+      redoStack: this.redoStack
+    };
+  }
+
+  /**
+   * 还原自动保存的撤销/重做记录（项目加载之后调用，当前画布即为记录的最新状态）
+   * assets 为记录中引用的图片资源，加载项目时已释放的需要重新导入
+   */
+  restoreStacks({ undoStack, redoStack }, assets) {
+    this.editor.assets.import(assets);
+    this.undoStack = undoStack || [];
+    this.redoStack = redoStack || [];
+    this.updateButtons();
   }
 
   /**
@@ -353,9 +664,9 @@ export class HistoryManager {
    */
   getInfo() {
     return {
-      undoCount: this.undoStack.length - 1,
+      undoCount: this.undoStack.length,
       redoCount: this.redoStack.length,
-      canUndo: this.undoStack.length > 1,
+      canUndo: this.undoStack.length > 0,
       canRedo: this.redoStack.length > 0
     };
   }
@@ -1,12 +1,75 @@
 import * as fabric from 'fabric';
+import { createZip, isZip, readZip } from './ZipArchive.js';
+import {
+  PROJECT_FORMAT, PROJECT_VERSION, EDITOR_VERSION,
+  ProjectFormatError, migrateProject, validateProject
+} from './ProjectFormat.js';
+import { CUBE_MIME_TYPE } from './ImageFilters.js';
+
+// 项目包中资源 MIME 类型与扩展名的对应关系
+const ASSET_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  [CUBE_MIME_TYPE]: 'cube'
+};
+
+/**
+ * 将 data URL 解析为 MIME 类型和二进制数据（非 data URL 返回 null）
+ */
+function parseDataURL(src) {
+  const match = /^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,/.exec(src);
+  if (!match) return null;
+
+  const body = src.slice(match[0].length);
+  let bytes;
+  if (match[3]) {
+    const binary = atob(body);
+    bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+  } else {
+    bytes = new TextEncoder().encode(decodeURIComponent(body));
+  }
+
+  return { type: match[1] || 'application/octet-stream', bytes };
+}
+
+/**
+ * 将二进制数据编码为 base64 data URL
+ */
+function toDataURL(bytes, type) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+}
 
 /**
  * IO Manager - 导入导出管理
  */
 export class IOManager {
+  // 项目文件中额外保存的自定义属性
+  static SERIALIZED_PROPERTIES = [
+    'id', 'selectable', 'evented', 'name',
+    'filters', 'crossOrigin', '_isPlaceholder',
+    '_shapeType', '_bubbleWidth', '_bubbleHeight', '_tailSize',
+    '_sides', '_starPoints', '_innerRadius',
+    '_boundTextId', '_boundShapeId'
+  ];
+
+  // 项目包格式版本
+  static BUNDLE_VERSION = 1;
+
   constructor(editor) {
     this.editor = editor;
     this.canvas = editor.canvas;
+    this.metadata = {}; // 项目自定义元数据，保存时原样写回
 
     this.setupEventListeners();
   }
@@ -28,7 +91,25 @@ export class IOManager {
 
     // 保存项目
     document.getElementById('save-json-btn')?.addEventListener('click', () => {
-      this.saveAsJSON();
+      this.showSaveModal();
+    });
+
+    document.getElementById('close-save-modal')?.addEventListener('click', () => {
+      this.hideSaveModal();
+    });
+
+    document.getElementById('cancel-save')?.addEventListener('click', () => {
+      this.hideSaveModal();
+    });
+
+    document.getElementById('confirm-save')?.addEventListener('click', () => {
+      const format = document.getElementById('save-format')?.value;
+      this.hideSaveModal();
+      if (format === 'json') {
+        this.saveAsJSON();
+      } else {
+        this.saveAsBundle();
+      }
     });
 
     // 导出按钮
@@ -161,99 +242,103 @@ export class IOManager {
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = (event) => {
+    reader.onload = async (event) => {
+      let json;
       try {
-        const json = JSON.parse(event.target.result);
-        // Fabric.js v6 使用 Promise API
-        this.canvas.loadFromJSON(json).then(() => {
-          this.canvas.renderAll();
-          // 确保所有对象可选择和可交互，并为文本框绑定事件
-          this.canvas.forEachObject(obj => {
-            obj.selectable = true;
-            obj.evented = true;
-            // 为文本框绑定PPT风格事件
-            if (obj.type === 'textbox' && obj._shapeType !== 'bubbleText') {
-              this.setupLoadedTextBox(obj);
-            }
-          });
-
-          // 恢复气泡和文本的绑定关系
-          this.restoreBubbleTextBindings();
-
-          this.editor.history.clear();
-          this.editor.showToast('项目已加载', 'success');
-        }).catch(err => {
-          this.editor.showToast('加载项目失败', 'error');
-          console.error('JSON load error:', err);
-        });
+        const buffer = event.target.result;
+        json = isZip(buffer)
+          ? await this.readProjectBundle(buffer)
+          : JSON.parse(new TextDecoder().decode(buffer));
       } catch (err) {
-        this.editor.showToast('无效的项目文件', 'error');
+        this.editor.showToast(`无效的项目文件：${err.message}`, 'error');
         console.error('JSON import error:', err);
+        return;
       }
+
+      this.loadProject(json).then(() => {
+        // 打开的文件作为新的本地项目自动保存
+        this.editor.autosave?.startNewProject(file.name.replace(/\.(json|fabproj)$/i, ''));
+        this.editor.showToast('项目已加载', 'success');
+      }).catch(err => {
+        const message = err instanceof ProjectFormatError
+          ? `项目文件无效：${err.message}`
+          : `加载项目失败：${err.message}`;
+        this.editor.showToast(message, 'error');
+        console.error('JSON load error:', err);
+      });
     };
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
     e.target.value = '';
   }
 
   /**
-   * 恢复气泡和文本的绑定关系
+   * 序列化项目：带版本信息的项目结构，图片 src 替换为资源ID，资源单独存放在 assets 中
    */
-  restoreBubbleTextBindings() {
-    const bindableShapes = [];  // 包括 bubble, rect, circle, triangle
-    const shapeTexts = [];      // 包括 bubbleText, shapeText
+  serializeProject() {
+    const assets = this.editor.assets;
+    const { objects, background } = assets.dehydrate(this.canvas.toObject(IOManager.SERIALIZED_PROPERTIES));
 
-    // 找出所有可绑定形状和形状文本
-    this.canvas.forEachObject(obj => {
-      if (['bubble', 'rect', 'circle', 'triangle'].includes(obj._shapeType)) {
-        bindableShapes.push(obj);
-      } else if (['bubbleText', 'shapeText'].includes(obj._shapeType)) {
-        shapeTexts.push(obj);
-      }
-    });
+    if (!this.metadata.createdAt) {
+      this.metadata.createdAt = new Date().toISOString();
+    }
 
-    // 为每个形状找到最近的文本并绑定
-    bindableShapes.forEach(shape => {
-      const shapeCenter = shape.getCenterPoint();
-      let closestText = null;
-      let minDistance = Infinity;
-
-      shapeTexts.forEach(text => {
-        if (text._boundBubble || text._boundShape) return; // 已绑定的跳过
-        const textCenter = text.getCenterPoint();
-        const distance = Math.sqrt(
-          Math.pow(shapeCenter.x - textCenter.x, 2) +
-          Math.pow(shapeCenter.y - textCenter.y, 2)
-        );
-        if (distance < minDistance) {
-          minDistance = distance;
-          closestText = text;
-        }
-      });
+    return {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      editorVersion: EDITOR_VERSION,
+      canvas: {
+        width: this.editor.canvasWidth,
+        height: this.editor.canvasHeight,
+        background: background ?? null
+      },
+      metadata: {
+        ...this.metadata,
+        updatedAt: new Date().toISOString()
+      },
+      objects,
+      assets: assets.export(assets.collectIds(objects))
+    };
+  }
 
-      if (closestText) {
-        // 设置文本属性
-        closestText.set({
-          hasControls: false,
-          hasBorders: false,
-          lockMovementX: true,
-          lockMovementY: true
-        });
+  /**
+   * 加载项目：先升级旧版本并校验结构，再还原画布
+   */
+  async loadProject(json) {
+    const project = validateProject(migrateProject(json));
+    const assets = this.editor.assets;
 
-        if (shape._shapeType === 'bubble') {
-          // 气泡绑定
-          shape._boundText = closestText;
-          closestText._boundBubble = shape;
-          this.editor.tools.bindBubbleTextEvents(shape, closestText);
-          this.editor.tools.setupBubbleTextEvents(closestText);
-        } else {
-          // 形状绑定（rect, circle, triangle）
-          shape._boundText = closestText;
-          closestText._boundShape = shape;
-          this.editor.tools.bindShapeTextEvents(shape, closestText);
-          this.editor.tools.setupShapeTextEvents(closestText);
-        }
+    assets.import(project.assets);
+
+    // 旧版本项目没有记录画布尺寸，保持当前尺寸
+    const { width, height, background } = project.canvas;
+    if (width && height) {
+      this.editor.setCanvasSize(width, height);
+    }
+
+    // Fabric.js v6 使用 Promise API
+    await this.canvas.loadFromJSON(assets.hydrate({
+      version: fabric.version,
+      objects: project.objects,
+      background
+    }));
+    this.canvas.renderAll();
+    this.editor.syncBackgroundInput();
+    this.metadata = project.metadata || {};
+
+    // 确保所有对象可选择和可交互，并为文本框绑定事件
+    this.canvas.forEachObject(obj => {
+      obj.selectable = true;
+      obj.evented = true;
+      // 为文本框绑定PPT风格事件
+      if (obj.type === 'textbox' && obj._shapeType !== 'bubbleText') {
+        this.setupLoadedTextBox(obj);
       }
     });
+
+    // 恢复气泡和文本的绑定关系
+    this.editor.tools.restoreShapeTextBindings();
+
+    this.editor.history.clear();
   }
 
   /**
@@ -333,11 +418,7 @@ export class IOManager {
   }
 
   saveAsJSON() {
-    const json = this.canvas.toJSON([
-      'id', 'selectable', 'evented', 'name',
-      'filters', 'crossOrigin', '_isPlaceholder',
-      '_shapeType', '_bubbleWidth', '_bubbleHeight', '_tailSize'
-    ]);
+    const json = this.serializeProject();
 
     const dataStr = JSON.stringify(json, null, 2);
     const blob = new Blob([dataStr], { type: 'application/json' });
@@ -349,9 +430,101 @@ export class IOManager {
     link.click();
 
     URL.revokeObjectURL(url);
+    this.editor.autosave?.markSaved();
     this.editor.showToast('项目已保存', 'success');
   }
 
+  /**
+   * 生成项目包：manifest.json + scene.json + 原始图片文件
+   */
+  createProjectBundle() {
+    const { assets, ...scene } = this.serializeProject();
+    const manifest = {
+      format: 'fabproj',
+      version: IOManager.BUNDLE_VERSION,
+      editorVersion: EDITOR_VERSION,
+      scene: 'scene.json',
+      assets: {}
+    };
+    const files = [];
+
+    Object.entries(assets).forEach(([id, src]) => {
+      const parsed = parseDataURL(src);
+      if (!parsed) {
+        // 外部链接图片只记录地址
+        manifest.assets[id] = { src };
+        return;
+      }
+      const extension = ASSET_EXTENSIONS[parsed.type] || 'bin';
+      const path = `assets/${id}.${extension}`;
+      manifest.assets[id] = { path, type: parsed.type };
+      files.push({ name: path, data: parsed.bytes });
+    });
+
+    return createZip([
+      { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+      { name: manifest.scene, data: JSON.stringify(scene) },
+      ...files
+    ]);
+  }
+
+  /**
+   * 读取项目包，返回与 JSON 项目文件相同结构的数据
+   */
+  async readProjectBundle(buffer) {
+    const files = await readZip(buffer);
+    const decoder = new TextDecoder();
+
+    const manifestFile = files.get('manifest.json');
+    if (!manifestFile) {
+      throw new Error('项目包缺少 manifest.json');
+    }
+    const manifest = JSON.parse(decoder.decode(manifestFile));
+
+    const sceneFile = files.get(manifest.scene || 'scene.json');
+    if (!sceneFile) {
+      throw new Error('项目包缺少场景数据');
+    }
+    const scene = JSON.parse(decoder.decode(sceneFile));
+
+    const assets = {};
+    Object.entries(manifest.assets || {}).forEach(([id, entry]) => {
+      if (entry.src) {
+        assets[id] = entry.src;
+        return;
+      }
+      const bytes = files.get(entry.path);
+      if (!bytes) {
+        throw new Error(`项目包缺少图片: ${entry.path}`);
+      }
+      assets[id] = toDataURL(bytes, entry.type);
+    });
+
+    return { ...scene, assets };
+  }
+
+  saveAsBundle() {
+    const blob = this.createProjectBundle();
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.download = `fabric-project-${Date.now()}.fabproj`;
+    link.href = url;
+    link.click();
+
+    URL.revokeObjectURL(url);
+    this.editor.autosave?.markSaved();
+    this.editor.showToast('项目已保存', 'success');
+  }
+
+  showSaveModal() {
+    document.getElementById('save-modal')?.classList.remove('hidden');
+  }
+
+  hideSaveModal() {
+    document.getElementById('save-modal')?.classList.add('hidden');
+  }
+
   showExportModal() {
     document.getElementById('export-modal')?.classList.remove('hidden');
   }
@@ -365,6 +538,9 @@ export class IOManager {
     const quality = parseFloat(document.getElementById('export-quality')?.value || 0.9);
     const multiplier = parseInt(document.getElementById('export-multiplier')?.value || 1);
 
+    // 后台处理中的大图滤镜先在主线程完成，保证导出全尺寸结果
+    this.editor.filterRenderer?.finishPending();
+
     // 临时隐藏选择框
     const activeObject = this.canvas.getActiveObject();
     this.canvas.discardActiveObject();
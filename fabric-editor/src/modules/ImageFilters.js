@@ -0,0 +1,1155 @@
+import * as fabric from 'fabric';
+
+/**
+ * 自定义图片滤镜
+ *
+ * 滤镜注册到 fabric.classRegistry，随图片一起序列化和还原。
+ */
+
+const IDENTITY_MATRIX = [1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0];
+
+// 各色彩效果在强度为 1 时的颜色矩阵
+const EFFECT_MATRICES = {
+  grayscale: [
+    0.21, 0.72, 0.07, 0, 0,
+    0.21, 0.72, 0.07, 0, 0,
+    0.21, 0.72, 0.07, 0, 0,
+    0, 0, 0, 1, 0
+  ],
+  sepia: fabric.filters.Sepia.defaults.matrix,
+  vintage: fabric.filters.Vintage.defaults.matrix,
+  kodachrome: fabric.filters.Kodachrome.defaults.matrix,
+  invert: [
+    -1, 0, 0, 0, 1,
+    0, -1, 0, 0, 1,
+    0, 0, -1, 0, 1,
+    0, 0, 0, 1, 0
+  ]
+};
+
+/**
+ * 可调强度的色彩效果（灰度、怀旧、复古、柯达、反相）
+ * 颜色矩阵在原图与效果之间按强度线性插值
+ */
+export class ColorEffect extends fabric.filters.ColorMatrix {
+  static type = 'ColorEffect';
+
+  static defaults = {
+    ...fabric.filters.ColorMatrix.defaults,
+    effect: 'grayscale',
+    amount: 1
+  };
+
+  static EFFECTS = Object.keys(EFFECT_MATRICES);
+
+  calculateMatrix() {
+    const target = EFFECT_MATRICES[this.effect] || IDENTITY_MATRIX;
+    this.matrix = IDENTITY_MATRIX.map((value, i) => value + (target[i] - value) * this.amount);
+  }
+
+  isNeutralState() {
+    return this.amount === 0;
+  }
+
+  applyTo(options) {
+    this.calculateMatrix();
+    super.applyTo(options);
+  }
+
+  toObject() {
+    return {
+      type: this.type,
+      effect: this.effect,
+      amount: this.amount
+    };
+  }
+}
+
+/**
+ * 暗角：从中心向四角逐渐压暗
+ */
+export class Vignette extends fabric.filters.BaseFilter {
+  static type = 'Vignette';
+
+  static defaults = {
+    amount: 0
+  };
+
+  static uniformLocations = ['uAmount'];
+
+  getFragmentSource() {
+    return `
+      precision highp float;
+      uniform sampler2D uTexture;
+      uniform float uAmount;
+      varying vec2 vTexCoord;
+      void main() {
+        vec4 color = texture2D(uTexture, vTexCoord);
+        float dist = length(vTexCoord - 0.5) * 1.41421356;
+        color.rgb *= 1.0 - uAmount * smoothstep(0.3, 1.0, dist);
+        gl_FragColor = color;
+      }
+    `;
+  }
+
+  applyTo2d({ imageData: { data, width, height } }) {
+    const centerX = width / 2;
+    const centerY = height / 2;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        // 与 WebGL 一致：按纹理坐标计算到中心的距离，四角为 1
+        const dx = (x + 0.5 - centerX) / width;
+        const dy = (y + 0.5 - centerY) / height;
+        const dist = Math.hypot(dx, dy) * Math.SQRT2;
+        const t = Math.min(1, Math.max(0, (dist - 0.3) / 0.7));
+        const factor = 1 - this.amount * t * t * (3 - 2 * t);
+
+        const i = (y * width + x) * 4;
+        data[i] *= factor;
+        data[i + 1] *= factor;
+        data[i + 2] *= factor;
+      }
+    }
+  }
+
+  isNeutralState() {
+    return this.amount === 0;
+  }
+
+  sendUniformData(gl, uniformLocations) {
+    gl.uniform1f(uniformLocations.uAmount, this.amount);
+  }
+}
+
+// 曲线默认值：每个通道只有两个端点（不做调整）
+export const DEFAULT_CURVES = {
+  rgb: [[0, 0], [255, 255]],
+  red: [[0, 0], [255, 255]],
+  green: [[0, 0], [255, 255]],
+  blue: [[0, 0], [255, 255]]
+};
+
+// 色阶默认值：黑场、白场、中间调伽马
+export const DEFAULT_LEVELS = { black: 0, white: 255, gamma: 1 };
+
+export function cloneCurves(curves = DEFAULT_CURVES) {
+  return Object.fromEntries(
+    Object.keys(DEFAULT_CURVES).map(channel => [
+      channel,
+      (curves[channel] || DEFAULT_CURVES[channel]).map(([x, y]) => [x, y])
+    ])
+  );
+}
+
+export function isIdentityCurve(points) {
+  return points.every(([x, y]) => x === y) &&
+    points.some(([x]) => x === 0) && points.some(([x]) => x === 255);
+}
+
+/**
+ * 根据控制点生成 256 级查找表（单调三次插值，曲线不会过冲）
+ * @param {Array<[number, number]>} points 0-255 范围内的控制点
+ * @returns {Uint8ClampedArray}
+ */
+export function interpolateCurve(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0])
+    .filter((point, i, list) => i === 0 || point[0] !== list[i - 1][0]);
+  const table = new Uint8ClampedArray(256);
+  const n = sorted.length;
+
+  if (n === 1) {
+    return table.fill(sorted[0][1]);
+  }
+
+  // 各段斜率与各点切线（Fritsch-Carlson）
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    slopes.push((sorted[i + 1][1] - sorted[i][1]) / (sorted[i + 1][0] - sorted[i][0]));
+  }
+  const tangents = sorted.map((_, i) => {
+    if (i === 0) return slopes[0];
+    if (i === n - 1) return slopes[n - 2];
+    return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+  });
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = tangents[i + 1] = 0;
+      continue;
+    }
+    const a = tangents[i] / slopes[i];
+    const b = tangents[i + 1] / slopes[i];
+    const length = Math.hypot(a, b);
+    if (length > 3) {
+      tangents[i] = 3 * a / length * slopes[i];
+      tangents[i + 1] = 3 * b / length * slopes[i];
+    }
+  }
+
+  let segment = 0;
+  for (let x = 0; x < 256; x++) {
+    if (x <= sorted[0][0]) {
+      table[x] = sorted[0][1];
+      continue;
+    }
+    if (x >= sorted[n - 1][0]) {
+      table[x] = sorted[n - 1][1];
+      continue;
+    }
+    while (x > sorted[segment + 1][0]) segment++;
+
+    const [x0, y0] = sorted[segment];
+    const [x1, y1] = sorted[segment + 1];
+    const h = x1 - x0;
+    const t = (x - x0) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    table[x] = Math.round(
+      (2 * t3 - 3 * t2 + 1) * y0 +
+      (t3 - 2 * t2 + t) * h * tangents[segment] +
+      (-2 * t3 + 3 * t2) * y1 +
+      (t3 - t2) * h * tangents[segment + 1]
+    );
+  }
+  return table;
+}
+
+/**
+ * 合成色阶与曲线，得到红、绿、蓝三个通道的查找表
+ */
+export function buildToneTables(curves, levels) {
+  const { black, white, gamma } = { ...DEFAULT_LEVELS, ...levels };
+  const range = Math.max(1, white - black);
+  const rgb = interpolateCurve(curves.rgb);
+
+  const levelTable = new Uint8ClampedArray(256);
+  for (let i = 0; i < 256; i++) {
+    const normalized = Math.min(1, Math.max(0, (i - black) / range));
+    levelTable[i] = Math.round(Math.pow(normalized, 1 / gamma) * 255);
+  }
+
+  const build = (channel) => {
+    const curve = interpolateCurve(curves[channel]);
+    return levelTable.map(value => curve[rgb[value]]);
+  };
+  return { red: build('red'), green: build('green'), blue: build('blue') };
+}
+
+/**
+ * 色阶与曲线
+ * 先应用色阶，再应用 RGB 曲线，最后应用各通道曲线
+ */
+export class Curves extends fabric.filters.BaseFilter {
+  static type = 'Curves';
+
+  static defaults = {
+    curves: DEFAULT_CURVES,
+    levels: DEFAULT_LEVELS
+  };
+
+  static uniformLocations = ['uLut'];
+
+  constructor(options = {}) {
+    super(options);
+    this.curves = cloneCurves(options.curves);
+    this.levels = { ...DEFAULT_LEVELS, ...options.levels };
+  }
+
+  getFragmentSource() {
+    return `
+      precision highp float;
+      uniform sampler2D uTexture;
+      uniform sampler2D uLut;
+      varying vec2 vTexCoord;
+      void main() {
+        vec4 color = texture2D(uTexture, vTexCoord);
+        color.r = texture2D(uLut, vec2((color.r * 255.0 + 0.5) / 256.0, 0.5)).r;
+        color.g = texture2D(uLut, vec2((color.g * 255.0 + 0.5) / 256.0, 0.5)).g;
+        color.b = texture2D(uLut, vec2((color.b * 255.0 + 0.5) / 256.0, 0.5)).b;
+        gl_FragColor = color;
+      }
+    `;
+  }
+
+  /**
+   * 把三个通道的查找表写入 256×1 的画布，作为 WebGL 纹理使用
+   */
+  createLutCanvas() {
+    const { red, green, blue } = buildToneTables(this.curves, this.levels);
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 1;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(256, 1);
+    for (let i = 0; i < 256; i++) {
+      imageData.data[i * 4] = red[i];
+      imageData.data[i * 4 + 1] = green[i];
+      imageData.data[i * 4 + 2] = blue[i];
+      imageData.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  applyToWebGL(options) {
+    const gl = options.context;
+    const texture = options.filterBackend.createTexture(gl, 256, 1, this.createLutCanvas());
+    this.bindAdditionalTexture(gl, texture, gl.TEXTURE1);
+    super.applyToWebGL(options);
+    this.unbindAdditionalTexture(gl, gl.TEXTURE1);
+    gl.deleteTexture(texture);
+  }
+
+  applyTo2d({ imageData: { data } }) {
+    const { red, green, blue } = buildToneTables(this.curves, this.levels);
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = red[data[i]];
+      data[i + 1] = green[data[i + 1]];
+      data[i + 2] = blue[data[i + 2]];
+    }
+  }
+
+  isNeutralState() {
+    const { black, white, gamma } = this.levels;
+    return black === 0 && white === 255 && gamma === 1 &&
+      Object.values(this.curves).every(isIdentityCurve);
+  }
+
+  sendUniformData(gl, uniformLocations) {
+    gl.uniform1i(uniformLocations.uLut, 1);
+  }
+
+  toObject() {
+    return {
+      type: this.type,
+      curves: cloneCurves(this.curves),
+      levels: { ...this.levels }
+    };
+  }
+}
+
+// .cube 文件保存为资源时使用的 MIME 类型
+export const CUBE_MIME_TYPE = 'text/x-cube';
+
+/**
+ * .cube 文件格式错误（带行号）
+ */
+export class CubeParseError extends Error {
+  constructor(message, line) {
+    super(line ? `第 ${line} 行：${message}` : message);
+    this.name = 'CubeParseError';
+    this.line = line;
+  }
+}
+
+/**
+ * 解析 .cube 格式的 3D LUT
+ * @param {string} text 文件内容
+ * @returns {{title: string, size: number, domainMin: number[], domainMax: number[], table: Float32Array}}
+ *   table 按红色变化最快的顺序保存输出颜色（每项 3 个分量）
+ */
+export function parseCube(text) {
+  let title = '';
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  let table = null;
+  let count = 0;
+
+  const readTriple = (parts, lineNumber) => {
+    const values = parts.map(Number);
+    if (values.length !== 3 || values.some(value => !Number.isFinite(value))) {
+      throw new CubeParseError('应为 3 个数值', lineNumber);
+    }
+    return values;
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/#.*/, '').trim();
+    if (!line) return;
+
+    const [keyword, ...parts] = line.split(/\s+/);
+    switch (keyword) {
+      case 'TITLE':
+        title = line.slice(keyword.length).trim().replace(/^"(.*)"$/, '$1');
+        return;
+      case 'LUT_1D_SIZE':
+        throw new CubeParseError('不支持 1D LUT', lineNumber);
+      case 'LUT_3D_SIZE':
+        size = Number(parts[0]);
+        if (!Number.isInteger(size) || size < 2 || size > 128) {
+          throw new CubeParseError('LUT_3D_SIZE 应为 2 到 128 之间的整数', lineNumber);
+        }
+        table = new Float32Array(size * size * size * 3);
+        return;
+      case 'DOMAIN_MIN':
+        domainMin = readTriple(parts, lineNumber);
+        return;
+      case 'DOMAIN_MAX':
+        domainMax = readTriple(parts, lineNumber);
+        return;
+      case 'LUT_3D_INPUT_RANGE':
+      case 'LUT_1D_INPUT_RANGE':
+        return;
+    }
+
+    if (!/^[-+.\d]/.test(keyword)) {
+      throw new CubeParseError(`无法识别的关键字 ${keyword}`, lineNumber);
+    }
+    if (!table) {
+      throw new CubeParseError('数据出现在 LUT_3D_SIZE 之前', lineNumber);
+    }
+    if (count >= size * size * size) {
+      throw new CubeParseError('数据行多于 LUT_3D_SIZE 的立方', lineNumber);
+    }
+    table.set(readTriple([keyword, ...parts], lineNumber), count * 3);
+    count++;
+  });
+
+  if (!table) {
+    throw new CubeParseError('缺少 LUT_3D_SIZE');
+  }
+  if (count !== size * size * size) {
+    throw new CubeParseError(`数据行数为 ${count}，应为 ${size * size * size}`);
+  }
+  if (domainMin.some((value, i) => value >= domainMax[i])) {
+    throw new CubeParseError('DOMAIN_MIN 应小于 DOMAIN_MAX');
+  }
+
+  return { title, size, domainMin, domainMax, table };
+}
+
+/**
+ * 校验 .cube 文本并编码为 data URL，作为 LUT 滤镜的 src 随项目资源一起保存
+ * @returns {{src: string, title: string}}
+ */
+export function createCubeSource(text) {
+  const lut = parseCube(text);
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  const src = `data:${CUBE_MIME_TYPE};base64,${btoa(binary)}`;
+  cacheCube(src, lut);
+  return { src, title: lut.title };
+}
+
+/**
+ * 从 data URL 还原 .cube 文本
+ */
+function decodeCube(src) {
+  const comma = src.indexOf(',');
+  if (!src.startsWith('data:') || comma === -1) {
+    throw new CubeParseError('LUT 数据不是 data URL');
+  }
+  const body = src.slice(comma + 1);
+  if (!src.slice(0, comma).endsWith(';base64')) {
+    return decodeURIComponent(body);
+  }
+  const binary = atob(body);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+// 已解析的 LUT（按 src 缓存，避免每次应用滤镜都重新解析）
+const lutCache = new Map();
+const LUT_CACHE_SIZE = 4;
+
+function cacheCube(src, lut) {
+  lutCache.set(src, lut);
+  if (lutCache.size > LUT_CACHE_SIZE) {
+    lutCache.delete(lutCache.keys().next().value);
+  }
+}
+
+function loadCube(src) {
+  let lut = lutCache.get(src);
+  if (!lut) {
+    lut = parseCube(decodeCube(src));
+    cacheCube(src, lut);
+  }
+  return lut;
+}
+
+/**
+ * 把 3D LUT 按蓝色切片平铺到一张画布上，作为 WebGL 纹理使用
+ * 每个切片 size×size（横向红色、纵向绿色），切片按行排列成 columns×rows 的网格
+ */
+function createLutAtlas(lut) {
+  if (lut.atlas) return lut.atlas;
+
+  const { size, table } = lut;
+  const columns = Math.ceil(Math.sqrt(size));
+  const rows = Math.ceil(size / columns);
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * size;
+  canvas.height = rows * size;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(canvas.width, canvas.height);
+
+  for (let b = 0; b < size; b++) {
+    const offsetX = (b % columns) * size;
+    const offsetY = Math.floor(b / columns) * size;
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const source = (r + g * size + b * size * size) * 3;
+        const target = ((offsetY + g) * canvas.width + offsetX + r) * 4;
+        imageData.data[target] = table[source] * 255;
+        imageData.data[target + 1] = table[source + 1] * 255;
+        imageData.data[target + 2] = table[source + 2] * 255;
+        imageData.data[target + 3] = 255;
+      }
+    }
+  }
+  ctx.putImageData(imageData, 0, 0);
+
+  lut.atlas = { canvas, columns, rows };
+  return lut.atlas;
+}
+
+/**
+ * 3D LUT 调色（三线性插值），强度在原图与调色结果之间线性插值
+ * src 为 .cube 文件的 data URL，序列化时和图片一样存入资源库
+ */
+export class Lut3D extends fabric.filters.BaseFilter {
+  static type = 'Lut3D';
+
+  static defaults = {
+    src: '',
+    name: '',
+    intensity: 1
+  };
+
+  static uniformLocations = ['uLut', 'uIntensity', 'uSize', 'uGrid', 'uDomainMin', 'uDomainMax'];
+
+  getFragmentSource() {
+    return `
+      precision highp float;
+      uniform sampler2D uTexture;
+      uniform sampler2D uLut;
+      uniform float uIntensity;
+      uniform float uSize;
+      uniform vec2 uGrid;
+      uniform vec3 uDomainMin;
+      uniform vec3 uDomainMax;
+      varying vec2 vTexCoord;
+
+      vec3 sampleSlice(vec2 rg, float slice) {
+        float row = floor(slice / uGrid.x);
+        float column = slice - row * uGrid.x;
+        vec2 texel = vec2(column, row) * uSize + rg * (uSize - 1.0) + 0.5;
+        return texture2D(uLut, texel / (uGrid * uSize)).rgb;
+      }
+
+      void main() {
+        vec4 color = texture2D(uTexture, vTexCoord);
+        vec3 coord = clamp((color.rgb - uDomainMin) / (uDomainMax - uDomainMin), 0.0, 1.0);
+        float blue = coord.b * (uSize - 1.0);
+        float slice = floor(blue);
+        vec3 graded = mix(
+          sampleSlice(coord.rg, slice),
+          sampleSlice(coord.rg, min(slice + 1.0, uSize - 1.0)),
+          blue - slice
+        );
+        color.rgb = mix(color.rgb, graded, uIntensity);
+        gl_FragColor = color;
+      }
+    `;
+  }
+
+  getLut() {
+    return this.src ? loadCube(this.src) : null;
+  }
+
+  applyToWebGL(options) {
+    const gl = options.context;
+    const { canvas } = createLutAtlas(this.getLut());
+    // 切片内的红、绿方向由纹理的线性过滤完成插值
+    const texture = options.filterBackend.createTexture(gl, canvas.width, canvas.height, canvas, gl.LINEAR);
+    this.bindAdditionalTexture(gl, texture, gl.TEXTURE1);
+    super.applyToWebGL(options);
+    this.unbindAdditionalTexture(gl, gl.TEXTURE1);
+    gl.deleteTexture(texture);
+  }
+
+  applyTo2d({ imageData: { data } }) {
+    const { size, table, domainMin, domainMax } = this.getLut();
+    const intensity = this.intensity;
+    const last = size - 1;
+
+    // 输入只有 256 级，预先算好每个通道的格点下标与插值权重
+    const lower = [0, 1, 2].map(() => new Uint16Array(256));
+    const weight = [0, 1, 2].map(() => new Float32Array(256));
+    for (let channel = 0; channel < 3; channel++) {
+      const range = domainMax[channel] - domainMin[channel];
+      for (let value = 0; value < 256; value++) {
+        const normalized = Math.min(1, Math.max(0, (value / 255 - domainMin[channel]) / range));
+        const position = normalized * last;
+        lower[channel][value] = Math.min(Math.floor(position), last - 1);
+        weight[channel][value] = position - lower[channel][value];
+      }
+    }
+
+    const strideG = size * 3;
+    const strideB = size * size * 3;
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const fr = weight[0][r];
+      const fg = weight[1][g];
+      const fb = weight[2][b];
+      const base = lower[0][r] * 3 + lower[1][g] * strideG + lower[2][b] * strideB;
+
+      for (let channel = 0; channel < 3; channel++) {
+        const p = base + channel;
+        const c00 = table[p] + (table[p + 3] - table[p]) * fr;
+        const c10 = table[p + strideG] + (table[p + strideG + 3] - table[p + strideG]) * fr;
+        const c01 = table[p + strideB] + (table[p + strideB + 3] - table[p + strideB]) * fr;
+        const c11 = table[p + strideG + strideB] +
+          (table[p + strideG + strideB + 3] - table[p + strideG + strideB]) * fr;
+        const c0 = c00 + (c10 - c00) * fg;
+        const c1 = c01 + (c11 - c01) * fg;
+        const graded = (c0 + (c1 - c0) * fb) * 255;
+        data[i + channel] += (graded - data[i + channel]) * intensity;
+      }
+    }
+  }
+
+  isNeutralState() {
+    return this.intensity === 0 || !this.src;
+  }
+
+  sendUniformData(gl, uniformLocations) {
+    const lut = this.getLut();
+    const { columns, rows } = createLutAtlas(lut);
+    gl.uniform1i(uniformLocations.uLut, 1);
+    gl.uniform1f(uniformLocations.uIntensity, this.intensity);
+    gl.uniform1f(uniformLocations.uSize, lut.size);
+    gl.uniform2f(uniformLocations.uGrid, columns, rows);
+    gl.uniform3fv(uniformLocations.uDomainMin, lut.domainMin);
+    gl.uniform3fv(uniformLocations.uDomainMax, lut.domainMax);
+  }
+
+  toObject() {
+    return {
+      type: this.type,
+      src: this.src,
+      name: this.name,
+      intensity: this.intensity
+    };
+  }
+}
+
+/**
+ * 抠图的透明度：与关键色的差异小于容差时完全透明，在羽化范围内逐渐变为不透明
+ * @param {number} difference 与关键色的差异（0-1，取各通道差的最大值）
+ */
+function keyAlpha(difference, tolerance, feather) {
+  if (feather <= 0) return difference < tolerance ? 0 : 1;
+  const t = Math.min(1, Math.max(0, (difference - tolerance) / feather));
+  return t * t * (3 - 2 * t);
+}
+
+const KEY_ALPHA_GLSL = `
+  float keyAlpha(float difference, float tolerance, float feather) {
+    return feather > 0.0
+      ? smoothstep(tolerance, tolerance + feather, difference)
+      : step(tolerance, difference);
+  }
+`;
+
+/**
+ * 颜色抠图：在 Fabric 的 RemoveColor 基础上增加羽化，边缘半透明过渡
+ */
+export class ChromaKey extends fabric.filters.RemoveColor {
+  static type = 'ChromaKey';
+
+  static defaults = {
+    ...fabric.filters.RemoveColor.defaults,
+    color: '#00ff00',
+    distance: 0.1,
+    feather: 0.05
+  };
+
+  static uniformLocations = ['uKey', 'uDistance', 'uFeather'];
+
+  getFragmentSource() {
+    return `
+      precision highp float;
+      uniform sampler2D uTexture;
+      uniform vec3 uKey;
+      uniform float uDistance;
+      uniform float uFeather;
+      varying vec2 vTexCoord;
+      ${KEY_ALPHA_GLSL}
+      void main() {
+        vec4 color = texture2D(uTexture, vTexCoord);
+        vec3 diff = abs(color.rgb - uKey);
+        color.a *= keyAlpha(max(max(diff.r, diff.g), diff.b), uDistance, uFeather);
+        gl_FragColor = color;
+      }
+    `;
+  }
+
+  applyTo2d({ imageData: { data } }) {
+    const [keyR, keyG, keyB] = new fabric.Color(this.color).getSource();
+    for (let i = 0; i < data.length; i += 4) {
+      const difference = Math.max(
+        Math.abs(data[i] - keyR),
+        Math.abs(data[i + 1] - keyG),
+        Math.abs(data[i + 2] - keyB)
+      ) / 255;
+      data[i + 3] *= keyAlpha(difference, this.distance, this.feather);
+    }
+  }
+
+  isNeutralState() {
+    return this.distance === 0 && this.feather === 0;
+  }
+
+  sendUniformData(gl, uniformLocations) {
+    const [r, g, b] = new fabric.Color(this.color).getSource();
+    gl.uniform3f(uniformLocations.uKey, r / 255, g / 255, b / 255);
+    gl.uniform1f(uniformLocations.uDistance, this.distance);
+    gl.uniform1f(uniformLocations.uFeather, this.feather);
+  }
+
+  toObject() {
+    return {
+      type: this.type,
+      color: this.color,
+      distance: this.distance,
+      feather: this.feather
+    };
+  }
+}
+
+/**
+ * 从种子点开始填充与其颜色相近的连续区域，返回每个像素的透明度系数（0-255）
+ * @param {Uint8Array|Uint8ClampedArray} data RGBA 像素
+ * @param {Array<[number, number]>} seeds 种子点（相对图片宽高的 0-1 坐标）
+ */
+export function floodFillMask(data, width, height, seeds, tolerance, feather) {
+  const count = width * height;
+  const mask = new Uint8ClampedArray(count).fill(255);
+  const limit = tolerance + feather;
+  const visited = new Uint8Array(count);
+  const stack = new Int32Array(count);
+
+  seeds.forEach(([seedX, seedY]) => {
+    const x0 = Math.min(width - 1, Math.max(0, Math.floor(seedX * width)));
+    const y0 = Math.min(height - 1, Math.max(0, Math.floor(seedY * height)));
+    const start = y0 * width + x0;
+    const keyR = data[start * 4];
+    const keyG = data[start * 4 + 1];
+    const keyB = data[start * 4 + 2];
+
+    visited.fill(0);
+    visited[start] = 1;
+    stack[0] = start;
+    let top = 1;
+
+    while (top > 0) {
+      const p = stack[--top];
+      const i = p * 4;
+      const difference = Math.max(
+        Math.abs(data[i] - keyR),
+        Math.abs(data[i + 1] - keyG),
+        Math.abs(data[i + 2] - keyB)
+      ) / 255;
+      // 种子点本身总是被填充，其余像素超出容差与羽化范围时停止扩展
+      if (difference >= limit && p !== start) continue;
+
+      mask[p] = Math.min(mask[p], Math.round(keyAlpha(difference, tolerance, feather) * 255));
+
+      const x = p % width;
+      if (x > 0 && !visited[p - 1]) { visited[p - 1] = 1; stack[top++] = p - 1; }
+      if (x < width - 1 && !visited[p + 1]) { visited[p + 1] = 1; stack[top++] = p + 1; }
+      if (p >= width && !visited[p - width]) { visited[p - width] = 1; stack[top++] = p - width; }
+      if (p < count - width && !visited[p + width]) { visited[p + width] = 1; stack[top++] = p + width; }
+    }
+  });
+  return mask;
+}
+
+/**
+ * 读回本次滤镜输入纹理的像素（WebGL 下需要按整张图片计算的滤镜使用）
+ */
+function readInputPixels(options) {
+  const gl = options.context;
+  const { sourceWidth: width, sourceHeight: height } = options;
+  const input = options.pass === 0 && options.originalTexture ? options.originalTexture : options.sourceTexture;
+  const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+  const framebuffer = gl.createFramebuffer();
+  const pixels = new Uint8Array(width * height * 4);
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, input, 0);
+  gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+  gl.deleteFramebuffer(framebuffer);
+  return pixels;
+}
+
+/**
+ * 去除连续背景：从种子点开始填充相近颜色的区域并变为透明
+ * WebGL 下先读回输入像素计算遮罩，再作为纹理参与绘制
+ */
+export class RemoveBackground extends fabric.filters.BaseFilter {
+  static type = 'RemoveBackground';
+
+  static defaults = {
+    seeds: [],
+    tolerance: 0.1,
+    feather: 0.05
+  };
+
+  static uniformLocations = ['uMask'];
+
+  constructor(options = {}) {
+    super(options);
+    this.seeds = (options.seeds || []).map(([x, y]) => [x, y]);
+  }
+
+  getFragmentSource() {
+    return `
+      precision highp float;
+      uniform sampler2D uTexture;
+      uniform sampler2D uMask;
+      varying vec2 vTexCoord;
+      void main() {
+        vec4 color = texture2D(uTexture, vTexCoord);
+        color.a *= texture2D(uMask, vTexCoord).r;
+        gl_FragColor = color;
+      }
+    `;
+  }
+
+  createMask(data, width, height) {
+    return floodFillMask(data, width, height, this.seeds, this.tolerance, this.feather);
+  }
+
+  applyToWebGL(options) {
+    const gl = options.context;
+    const { sourceWidth: width, sourceHeight: height } = options;
+    const mask = this.createMask(readInputPixels(options), width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    for (let p = 0; p < mask.length; p++) {
+      imageData.data[p * 4] = mask[p];
+      imageData.data[p * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    const texture = options.filterBackend.createTexture(gl, width, height, canvas);
+    this.bindAdditionalTexture(gl, texture, gl.TEXTURE1);
+    super.applyToWebGL(options);
+    this.unbindAdditionalTexture(gl, gl.TEXTURE1);
+    gl.deleteTexture(texture);
+  }
+
+  applyTo2d({ imageData: { data, width, height } }) {
+    const mask = this.createMask(data, width, height);
+    for (let p = 0; p < mask.length; p++) {
+      data[p * 4 + 3] = data[p * 4 + 3] * mask[p] / 255;
+    }
+  }
+
+  isNeutralState() {
+    return this.seeds.length === 0;
+  }
+
+  sendUniformData(gl, uniformLocations) {
+    gl.uniform1i(uniformLocations.uMask, 1);
+  }
+
+  toObject() {
+    return {
+      type: this.type,
+      seeds: this.seeds.map(([x, y]) => [x, y]),
+      tolerance: this.tolerance,
+      feather: this.feather
+    };
+  }
+}
+
+/**
+ * 计算遮盖区域的蒙版，返回蒙版和区域的外接矩形（像素坐标，无区域时为 null）
+ * 矩形由对角两点确定；笔画为折线，按线宽扩展为圆头的带状区域
+ * @param {Array<[number, number]>} points 相对图片宽高的 0-1 坐标
+ * @param {number} lineWidth 笔画宽度（相对图片长边）
+ */
+export function redactionMask(width, height, shape, points, lineWidth) {
+  const mask = new Uint8Array(width * height);
+  const pixels = points.map(([x, y]) => [x * width, y * height]);
+  const clampX = x => Math.min(width, Math.max(0, x));
+  const clampY = y => Math.min(height, Math.max(0, y));
+  const bounds = { left: width, top: height, right: 0, bottom: 0 };
+
+  const fill = (left, top, right, bottom, test) => {
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        if (test(x + 0.5, y + 0.5)) mask[y * width + x] = 1;
+      }
+    }
+    bounds.left = Math.min(bounds.left, left);
+    bounds.top = Math.min(bounds.top, top);
+    bounds.right = Math.max(bounds.right, right);
+    bounds.bottom = Math.max(bounds.bottom, bottom);
+  };
+
+  if (shape === 'rect' && pixels.length >= 2) {
+    const [[x1, y1], [x2, y2]] = pixels;
+    fill(
+      clampX(Math.floor(Math.min(x1, x2))), clampY(Math.floor(Math.min(y1, y2))),
+      clampX(Math.ceil(Math.max(x1, x2))), clampY(Math.ceil(Math.max(y1, y2))),
+      () => true
+    );
+  } else if (shape === 'stroke' && pixels.length > 0) {
+    const radius = Math.max(0.5, lineWidth * Math.max(width, height) / 2);
+    pixels.forEach(([ax, ay], index) => {
+      const [bx, by] = pixels[index + 1] || pixels[index];
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      // 像素中心到线段的距离不超过半径即在笔画内
+      fill(
+        clampX(Math.floor(Math.min(ax, bx) - radius)), clampY(Math.floor(Math.min(ay, by) - radius)),
+        clampX(Math.ceil(Math.max(ax, bx) + radius)), clampY(Math.ceil(Math.max(ay, by) + radius)),
+        (x, y) => {
+          const t = lengthSq ? Math.min(1, Math.max(0, ((x - ax) * dx + (y - ay) * dy) / lengthSq)) : 0;
+          const ox = x - (ax + t * dx);
+          const oy = y - (ay + t * dy);
+          return ox * ox + oy * oy <= radius * radius;
+        }
+      );
+    });
+  }
+
+  if (bounds.right <= bounds.left || bounds.bottom <= bounds.top) {
+    return { mask, bounds: null };
+  }
+  return { mask, bounds };
+}
+
+/**
+ * 对区域内的像素做三次盒式模糊（近似高斯模糊），返回区域大小的 RGBA 结果
+ */
+function boxBlurRegion(data, width, { left, top, right, bottom }, radius) {
+  const regionWidth = right - left;
+  const regionHeight = bottom - top;
+  let source = new Float32Array(regionWidth * regionHeight * 4);
+  let target = new Float32Array(source.length);
+
+  for (let y = 0; y < regionHeight; y++) {
+    for (let x = 0; x < regionWidth; x++) {
+      const i = ((top + y) * width + left + x) * 4;
+      const j = (y * regionWidth + x) * 4;
+      for (let c = 0; c < 4; c++) source[j + c] = data[i + c];
+    }
+  }
+
+  // 一维滑动平均，边缘像素重复延伸
+  const blurLine = (start, step, length) => {
+    const size = radius * 2 + 1;
+    const at = (n, c) => source[start + Math.min(length - 1, Math.max(0, n)) * step + c];
+    for (let c = 0; c < 4; c++) {
+      let sum = 0;
+      for (let n = -radius; n <= radius; n++) sum += at(n, c);
+      for (let n = 0; n < length; n++) {
+        target[start + n * step + c] = sum / size;
+        sum += at(n + radius + 1, c) - at(n - radius, c);
+      }
+    }
+  };
+
+  for (let pass = 0; pass < 3; pass++) {
+    for (let y = 0; y < regionHeight; y++) blurLine(y * regionWidth * 4, 4, regionWidth);
+    [source, target] = [target, source];
+    for (let x = 0; x < regionWidth; x++) blurLine(x * 4, regionWidth * 4, regionHeight);
+    [source, target] = [target, source];
+  }
+
+  return source;
+}
+
+/**
+ * 遮盖敏感信息：对矩形或笔画区域做马赛克、模糊或纯色填充
+ * 区域按原图的相对坐标保存，随图片移动、缩放和裁剪；作为滤镜直接改变绘制的像素，
+ * 导出的 PNG/JPEG 以及 SVG 中嵌入的图片都只包含遮盖后的结果
+ */
+export class Redact extends fabric.filters.BaseFilter {
+  static type = 'Redact';
+
+  static defaults = {
+    shape: 'rect', // rect | stroke
+    points: [],
+    lineWidth: 0,
+    style: 'pixelate', // pixelate | blur | solid
+    size: 0.02, // 马赛克块大小或模糊半径（相对图片长边）
+    color: '#000000'
+  };
+
+  static uniformLocations = ['uRedacted'];
+
+  constructor(options = {}) {
+    super(options);
+    this.points = (options.points || []).map(([x, y]) => [x, y]);
+  }
+
+  getFragmentSource() {
+    return `
+      precision highp float;
+      uniform sampler2D uRedacted;
+      varying vec2 vTexCoord;
+      void main() {
+        gl_FragColor = texture2D(uRedacted, vTexCoord);
+      }
+    `;
+  }
+
+  /**
+   * 在 RGBA 像素上应用遮盖
+   */
+  redact(data, width, height) {
+    const { mask, bounds } = redactionMask(width, height, this.shape, this.points, this.lineWidth);
+    if (!bounds) return;
+
+    const amount = Math.max(1, Math.round(this.size * Math.max(width, height)));
+    const forEachMasked = (left, top, right, bottom, callback) => {
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          if (mask[y * width + x]) callback((y * width + x) * 4);
+        }
+      }
+    };
+
+    if (this.style === 'solid') {
+      const [r, g, b] = new fabric.Color(this.color).getSource();
+      forEachMasked(bounds.left, bounds.top, bounds.right, bounds.bottom, i => {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = 255;
+      });
+    } else if (this.style === 'blur') {
+      // 模糊范围向外扩展，使区域边缘与周围自然过渡
+      const padding = amount * 3;
+      const region = {
+        left: Math.max(0, bounds.left - padding),
+        top: Math.max(0, bounds.top - padding),
+        right: Math.min(width, bounds.right + padding),
+        bottom: Math.min(height, bounds.bottom + padding)
+      };
+      const blurred = boxBlurRegion(data, width, region, amount);
+      const regionWidth = region.right - region.left;
+      forEachMasked(bounds.left, bounds.top, bounds.right, bounds.bottom, i => {
+        const x = (i / 4) % width - region.left;
+        const y = Math.floor(i / 4 / width) - region.top;
+        const j = (y * regionWidth + x) * 4;
+        for (let c = 0; c < 4; c++) data[i + c] = blurred[j + c];
+      });
+    } else {
+      // 马赛克按固定网格分块，每块取整块的平均颜色
+      const block = Math.max(2, amount);
+      for (let top = Math.floor(bounds.top / block) * block; top < bounds.bottom; top += block) {
+        for (let left = Math.floor(bounds.left / block) * block; left < bounds.right; left += block) {
+          const right = Math.min(width, left + block);
+          const bottom = Math.min(height, top + block);
+          const sum = [0, 0, 0, 0];
+          for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+              const i = (y * width + x) * 4;
+              for (let c = 0; c < 4; c++) sum[c] += data[i + c];
+            }
+          }
+          const count = (right - left) * (bottom - top);
+          forEachMasked(left, top, right, bottom, i => {
+            for (let c = 0; c < 4; c++) data[i + c] = sum[c] / count;
+          });
+        }
+      }
+    }
+  }
+
+  applyToWebGL(options) {
+    const gl = options.context;
+    const { sourceWidth: width, sourceHeight: height } = options;
+    const pixels = new Uint8ClampedArray(readInputPixels(options).buffer);
+    this.redact(pixels, width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+
+    const texture = options.filterBackend.createTexture(gl, width, height, canvas);
+    this.bindAdditionalTexture(gl, texture, gl.TEXTURE1);
+    super.applyToWebGL(options);
+    this.unbindAdditionalTexture(gl, gl.TEXTURE1);
+    gl.deleteTexture(texture);
+  }
+
+  applyTo2d({ imageData: { data, width, height } }) {
+    this.redact(data, width, height);
+  }
+
+  isNeutralState() {
+    return this.points.length < (this.shape === 'rect' ? 2 : 1);
+  }
+
+  sendUniformData(gl, uniformLocations) {
+    gl.uniform1i(uniformLocations.uRedacted, 1);
+  }
+
+  toObject() {
+    return {
+      type: this.type,
+      shape: this.shape,
+      points: this.points.map(([x, y]) => [x, y]),
+      lineWidth: this.lineWidth,
+      style: this.style,
+      size: this.size,
+      color: this.color
+    };
+  }
+}
+
+/**
+ * 把遮盖直接绘制到图片像素中，返回处理后的画布和其余的滤镜
+ * 用于重新采样原图的操作（如透视裁剪），避免遮盖区域在新图片上错位
+ */
+export function bakeRedactions(element, filters) {
+  const redactions = filters.filter(filter => filter && filter.type === 'Redact');
+  if (redactions.length === 0) return { element, filters };
+
+  const canvas = document.createElement('canvas');
+  canvas.width = element.naturalWidth || element.width;
+  canvas.height = element.naturalHeight || element.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(element, 0, 0);
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  redactions.forEach(filter => filter.redact(imageData.data, canvas.width, canvas.height));
+  ctx.putImageData(imageData, 0, 0);
+
+  return { element: canvas, filters: filters.filter(filter => !redactions.includes(filter)) };
+}
+
+fabric.classRegistry.setClass(ColorEffect);
+fabric.classRegistry.setClass(Vignette);
+fabric.classRegistry.setClass(Curves);
+fabric.classRegistry.setClass(Lut3D);
+fabric.classRegistry.setClass(ChromaKey);
+fabric.classRegistry.setClass(RemoveBackground);
+fabric.classRegistry.setClass(Redact);
@@ -0,0 +1,238 @@
+import * as fabric from 'fabric';
+
+/**
+ * Mask Manager - 形状蒙版管理
+ *
+ * 蒙版以 clipPath 的形式保存在图片上（相对图片中心的坐标），
+ * 随图片一起序列化、撤销和移动。
+ */
+export class MaskManager {
+  // 可以作为蒙版的对象类型
+  static MASKABLE_TYPES = ['rect', 'circle', 'ellipse', 'triangle', 'path', 'polygon'];
+
+  // 形状转为蒙版及还原时保留的自定义属性
+  static SHAPE_PROPERTIES = [
+    '_shapeType', '_bubbleWidth', '_bubbleHeight', '_tailSize',
+    '_sides', '_starPoints', '_innerRadius'
+  ];
+
+  constructor(editor) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.editingImage = null; // 正在蒙版内调整位置的图片
+    this.maskMatrix = null;   // 调整期间蒙版固定的画布变换
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('mask-apply-btn')?.addEventListener('click', () => {
+      this.applyMask();
+    });
+
+    document.getElementById('mask-edit-btn')?.addEventListener('click', () => {
+      if (this.editingImage) {
+        this.exitMaskEdit();
+      } else {
+        this.enterMaskEdit();
+      }
+    });
+
+    document.getElementById('mask-release-btn')?.addEventListener('click', () => {
+      this.releaseMask();
+    });
+
+    // 调整图片时保持蒙版在画布上不动
+    ['object:moving', 'object:scaling', 'object:rotating', 'object:skewing'].forEach(eventName => {
+      this.canvas.on(eventName, (e) => {
+        if (e.target === this.editingImage) this.syncMaskToCanvas();
+      });
+    });
+
+    this.canvas.on('selection:created', () => this.onSelectionChange());
+    this.canvas.on('selection:updated', () => this.onSelectionChange());
+    this.canvas.on('selection:cleared', () => this.onSelectionChange());
+  }
+
+  isMaskable(obj) {
+    return obj && MaskManager.MASKABLE_TYPES.includes(obj.type);
+  }
+
+  /**
+   * 从当前选择中找出图片和作为蒙版的形状
+   */
+  getMaskSelection() {
+    const activeObject = this.canvas.getActiveObject();
+    if (!activeObject || activeObject.type !== 'activeselection') return null;
+
+    const objects = activeObject.getObjects();
+    if (objects.length !== 2) return null;
+
+    const image = objects.find(obj => obj.type === 'image');
+    const shape = objects.find(obj => obj !== image && this.isMaskable(obj));
+    return image && shape ? { image, shape } : null;
+  }
+
+  /**
+   * 获取当前选中的带蒙版图片
+   */
+  getMaskedImage() {
+    const activeObject = this.canvas.getActiveObject();
+    return activeObject?.type === 'image' && activeObject.clipPath ? activeObject : null;
+  }
+
+  /**
+   * 用变换矩阵设置对象的位置、旋转、缩放和倾斜
+   */
+  applyMatrix(obj, matrix) {
+    const { translateX, translateY, ...transform } = fabric.util.qrDecompose(matrix);
+    obj.set({ flipX: false, flipY: false, ...transform });
+    obj.setPositionByOrigin(new fabric.Point(translateX, translateY), 'center', 'center');
+  }
+
+  /**
+   * 将选中的形状作为图片的蒙版（图片已有蒙版时替换，旧蒙版还原为普通形状）
+   */
+  async applyMask() {
+    const selection = this.getMaskSelection();
+    if (!selection) {
+      this.editor.showToast('请同时选中一张图片和一个形状', 'error');
+      return;
+    }
+
+    const { image, shape } = selection;
+
+    // 取消选择，使对象恢复为画布坐标
+    this.canvas.discardActiveObject();
+
+    const isReplacing = !!image.clipPath;
+    if (isReplacing) {
+      await this.restoreMaskShape(image);
+    }
+
+    const mask = await shape.clone(MaskManager.SHAPE_PROPERTIES);
+    const relative = fabric.util.multiplyTransformMatrices(
+      fabric.util.invertTransform(image.calcTransformMatrix()),
+      shape.calcTransformMatrix()
+    );
+    this.applyMatrix(mask, relative);
+
+    // 形状成为蒙版后从画布移除，绑定的文本一并移除
+    const boundText = shape._boundText;
+    shape.off();
+    this.canvas.remove(shape);
+    if (boundText) {
+      boundText.off();
+      this.canvas.remove(boundText);
+    }
+
+    image.set({ clipPath: mask, dirty: true });
+    this.canvas.setActiveObject(image);
+    this.canvas.renderAll();
+
+    this.editor.history.saveStateImmediate();
+    this.editor.showToast(isReplacing ? '蒙版已替换' : '蒙版已应用', 'success');
+  }
+
+  /**
+   * 将图片的蒙版还原为画布上的形状
+   */
+  async restoreMaskShape(image) {
+    const mask = image.clipPath;
+    const shape = await mask.clone(MaskManager.SHAPE_PROPERTIES);
+
+    this.applyMatrix(shape, fabric.util.multiplyTransformMatrices(
+      image.calcTransformMatrix(),
+      mask.calcTransformMatrix()
+    ));
+    shape.set({ selectable: true, evented: true });
+    shape.setCoords();
+
+    image.set({ clipPath: undefined, dirty: true });
+
+    // 放在图片上方，便于继续编辑
+    this.canvas.insertAt(this.canvas.getObjects().indexOf(image) + 1, shape);
+    return shape;
+  }
+
+  /**
+   * 移除蒙版
+   */
+  async releaseMask() {
+    const image = this.getMaskedImage();
+    if (!image) {
+      this.editor.showToast('请先选择带蒙版的图片', 'error');
+      return;
+    }
+
+    this.exitMaskEdit();
+    const shape = await this.restoreMaskShape(image);
+
+    this.canvas.setActiveObject(shape);
+    this.canvas.renderAll();
+
+    this.editor.history.saveStateImmediate();
+    this.editor.showToast('蒙版已移除', 'success');
+  }
+
+  /**
+   * 进入调整模式：移动/缩放图片时蒙版保持不动
+   */
+  enterMaskEdit() {
+    const image = this.getMaskedImage();
+    if (!image) return;
+
+    this.editingImage = image;
+    this.maskMatrix = fabric.util.multiplyTransformMatrices(
+      image.calcTransformMatrix(),
+      image.clipPath.calcTransformMatrix()
+    );
+    this.updateButtons();
+    this.editor.showToast('拖动图片调整蒙版内的显示区域', 'info');
+  }
+
+  exitMaskEdit() {
+    this.editingImage = null;
+    this.maskMatrix = null;
+    this.updateButtons();
+  }
+
+  /**
+   * 根据图片当前的变换重新计算蒙版的相对位置
+   */
+  syncMaskToCanvas() {
+    const image = this.editingImage;
+    if (!image?.clipPath) return;
+
+    const relative = fabric.util.multiplyTransformMatrices(
+      fabric.util.invertTransform(image.calcTransformMatrix()),
+      this.maskMatrix
+    );
+    this.applyMatrix(image.clipPath, relative);
+    image.set('dirty', true);
+  }
+
+  onSelectionChange() {
+    if (this.editingImage && this.canvas.getActiveObject() !== this.editingImage) {
+      this.exitMaskEdit();
+    }
+    this.updateButtons();
+  }
+
+  /**
+   * 根据选择状态更新按钮
+   */
+  updateButtons() {
+    const applyBtn = document.getElementById('mask-apply-btn');
+    const editBtn = document.getElementById('mask-edit-btn');
+    const releaseBtn = document.getElementById('mask-release-btn');
+    const maskedImage = this.getMaskedImage();
+
+    if (applyBtn) applyBtn.disabled = !this.getMaskSelection();
+    if (editBtn) {
+      editBtn.disabled = !maskedImage;
+      editBtn.classList.toggle('active', !!this.editingImage);
+    }
+    if (releaseBtn) releaseBtn.disabled = !maskedImage;
+  }
+}
@@ -0,0 +1,543 @@
+import * as fabric from 'fabric';
+
+// 判断两点重合、控制柄共线时允许的误差
+const EPSILON = 1e-6;
+
+const samePoint = (a, b) => Math.abs(a.x - b.x) < EPSILON && Math.abs(a.y - b.y) < EPSILON;
+
+/**
+ * 控制柄与锚点两侧方向相反（共线）时视为平滑点
+ */
+function isSmooth(anchor) {
+  if (!anchor.in || !anchor.out) return false;
+  const ax = anchor.in.x - anchor.x;
+  const ay = anchor.in.y - anchor.y;
+  const bx = anchor.out.x - anchor.x;
+  const by = anchor.out.y - anchor.y;
+  const lengths = Math.hypot(ax, ay) * Math.hypot(bx, by);
+  return lengths > EPSILON && Math.abs(ax * by - ay * bx) / lengths < 0.01 && ax * bx + ay * by < 0;
+}
+
+/**
+ * 将 Fabric 路径命令（M/L/C/Q/Z）转换为按子路径分组的锚点列表
+ * 锚点的 in/out 为两侧的控制柄（与路径命令使用相同坐标，没有时为 null），二次曲线转换为三次曲线
+ */
+export function pathToAnchors(commands) {
+  const subpaths = [];
+  let current = null;
+
+  commands.forEach(([type, ...values]) => {
+    const previous = current?.anchors[current.anchors.length - 1];
+    if (type === 'M' || !current) {
+      current = { closed: false, anchors: [] };
+      subpaths.push(current);
+      current.anchors.push({ x: values[values.length - 2], y: values[values.length - 1], in: null, out: null });
+    } else if (type === 'L') {
+      current.anchors.push({ x: values[0], y: values[1], in: null, out: null });
+    } else if (type === 'C') {
+      previous.out = { x: values[0], y: values[1] };
+      current.anchors.push({ x: values[4], y: values[5], in: { x: values[2], y: values[3] }, out: null });
+    } else if (type === 'Q') {
+      const [qx, qy, x, y] = values;
+      previous.out = { x: previous.x + (qx - previous.x) * 2 / 3, y: previous.y + (qy - previous.y) * 2 / 3 };
+      current.anchors.push({ x, y, in: { x: x + (qx - x) * 2 / 3, y: y + (qy - y) * 2 / 3 }, out: null });
+    } else if (type === 'Z') {
+      current.closed = true;
+      // 闭合前回到起点的最后一段与起点合并为同一个锚点
+      const [first] = current.anchors;
+      if (current.anchors.length > 1 && samePoint(first, previous)) {
+        first.in = previous.in;
+        current.anchors.pop();
+      }
+      current = null;
+    }
+  });
+
+  subpaths.forEach(subpath => subpath.anchors.forEach(anchor => {
+    anchor.smooth = isSmooth(anchor);
+  }));
+  return subpaths.filter(subpath => subpath.anchors.length > 0);
+}
+
+/**
+ * 将锚点列表转换回路径命令：两端都没有控制柄的线段为直线，否则为三次曲线
+ */
+export function anchorsToPath(subpaths) {
+  const commands = [];
+  const segment = (from, to) => (from.out || to.in
+    ? ['C', (from.out || from).x, (from.out || from).y, (to.in || to).x, (to.in || to).y, to.x, to.y]
+    : ['L', to.x, to.y]);
+
+  subpaths.forEach(({ closed, anchors }) => {
+    if (anchors.length === 0) return;
+    commands.push(['M', anchors[0].x, anchors[0].y]);
+    anchors.slice(1).forEach((anchor, index) => commands.push(segment(anchors[index], anchor)));
+    if (closed) {
+      const last = anchors[anchors.length - 1];
+      if (last.out || anchors[0].in) commands.push(segment(last, anchors[0]));
+      commands.push(['Z']);
+    }
+  });
+  return commands;
+}
+
+/**
+ * 替换路径命令并重新计算尺寸，保持未改变的部分在画布上的位置不动
+ */
+export function setPathCommands(path, commands) {
+  const origin = new fabric.Point(0, 0);
+  const before = origin.subtract(path.pathOffset).transform(path.calcOwnMatrix());
+  path.path = commands;
+  path.setDimensions();
+  const after = origin.subtract(path.pathOffset).transform(path.calcOwnMatrix());
+  path.set({ left: path.left - (after.x - before.x), top: path.top - (after.y - before.y), dirty: true });
+  path.setCoords();
+}
+
+/**
+ * 在三次曲线（或直线）的 t 处拆分线段，返回新锚点并更新两端的控制柄
+ */
+function splitSegment(from, to, t) {
+  const lerp = (a, b) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  if (!from.out && !to.in) {
+    return { ...lerp(from, to), in: null, out: null, smooth: false };
+  }
+
+  // de Casteljau 算法
+  const p1 = from.out || { x: from.x, y: from.y };
+  const p2 = to.in || { x: to.x, y: to.y };
+  const a = lerp(from, p1);
+  const b = lerp(p1, p2);
+  const c = lerp(p2, to);
+  const d = lerp(a, b);
+  const e = lerp(b, c);
+  const point = lerp(d, e);
+
+  from.out = a;
+  to.in = c;
+  return { x: point.x, y: point.y, in: d, out: e, smooth: true };
+}
+
+function pointOnSegment(from, to, t) {
+  const p1 = from.out || from;
+  const p2 = to.in || to;
+  const u = 1 - t;
+  return {
+    x: u * u * u * from.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * to.x,
+    y: u * u * u * from.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * to.y
+  };
+}
+
+/**
+ * Path Edit Manager - 路径节点编辑
+ *
+ * 进入编辑后路径的控制点替换为各个锚点和控制柄：拖动锚点连同控制柄一起移动，
+ * 拖动平滑点的控制柄时另一侧保持共线；可以添加、删除节点，以及在角点和平滑点之间转换。
+ * 适用于所有 fabric.Path，包括钢笔路径、画笔笔迹和气泡。
+ */
+export class PathEditManager {
+  static ANCHOR_SIZE = 8;
+  static HANDLE_SIZE = 7;
+  static COLOR = '#4f46e5';
+
+  constructor(editor) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.target = null;    // 正在编辑的路径
+    this.subpaths = [];    // 锚点列表（路径坐标）
+    this.selected = null;  // 选中的锚点 { subpath, index }
+    this.savedState = null; // 进入编辑前路径的控制点设置
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('path-edit-btn')?.addEventListener('click', () => {
+      if (this.target) {
+        this.exitEdit();
+      } else {
+        this.enterEdit(this.canvas.getActiveObject());
+      }
+    });
+
+    document.getElementById('path-add-node-btn')?.addEventListener('click', () => this.addAnchor());
+    document.getElementById('path-delete-node-btn')?.addEventListener('click', () => this.deleteAnchor());
+    document.getElementById('path-corner-btn')?.addEventListener('click', () => this.convertAnchor(false));
+    document.getElementById('path-smooth-btn')?.addEventListener('click', () => this.convertAnchor(true));
+
+    // 双击路径进入编辑（绑定文本的气泡双击编辑文本，通过按钮进入）；编辑中双击路径添加节点
+    this.canvas.on('mouse:dblclick', (opt) => {
+      if (this.target && opt.target === this.target) {
+        this.addAnchorAt(opt.scenePoint);
+      } else if (!this.target && this.isEditable(opt.target) && !opt.target._boundText &&
+        this.editor.tools.currentTool === 'select') {
+        this.enterEdit(opt.target);
+      }
+    });
+
+    this.canvas.on('selection:created', () => this.onSelectionChange());
+    this.canvas.on('selection:updated', () => this.onSelectionChange());
+    this.canvas.on('selection:cleared', () => this.onSelectionChange());
+
+    // 撤销等操作替换或删除了路径时结束编辑
+    this.canvas.on('object:removed', ({ target }) => {
+      if (target === this.target) this.exitEdit();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (this.editor.isTypingTarget(e.target)) return;
+      if (this.target && (e.key === 'Escape' || e.key === 'Enter')) this.exitEdit();
+    });
+  }
+
+  isEditable(obj) {
+    return obj?.type === 'path' && !obj.group;
+  }
+
+  isEditing(obj) {
+    return !!this.target && this.target === obj;
+  }
+
+  hasSelectedAnchor() {
+    return !!this.target && !!this.selected;
+  }
+
+  /**
+   * 进入节点编辑
+   */
+  enterEdit(path) {
+    if (!this.isEditable(path)) {
+      this.editor.showToast('请先选择一条路径', 'error');
+      return;
+    }
+
+    this.exitEdit();
+    this.target = path;
+    this.subpaths = pathToAnchors(path.path);
+    this.selected = null;
+    this.savedState = { controls: path.controls, hasBorders: path.hasBorders };
+
+    path.set({ hasBorders: false });
+    path.controls = this.createControls();
+    path.setCoords();
+    this.canvas.setActiveObject(path);
+    this.canvas.requestRenderAll();
+    this.updateButtons();
+    this.editor.showToast('拖动节点或控制柄编辑路径，双击路径添加节点，Alt+单击节点切换角点/平滑点', 'info');
+  }
+
+  exitEdit() {
+    const path = this.target;
+    if (!path) return;
+
+    this.target = null;
+    this.subpaths = [];
+    this.selected = null;
+    path.controls = this.savedState.controls;
+    path.set({ hasBorders: this.savedState.hasBorders });
+    this.savedState = null;
+    path.setCoords();
+    this.canvas.requestRenderAll();
+    this.updateButtons();
+  }
+
+  onSelectionChange() {
+    if (this.target && this.canvas.getActiveObject() !== this.target) {
+      this.exitEdit();
+    }
+    this.updateButtons();
+  }
+
+  updateButtons() {
+    const group = document.getElementById('path-edit-group');
+    const activeObject = this.canvas.getActiveObject();
+    group?.classList.toggle('hidden', !this.isEditable(activeObject));
+
+    document.getElementById('path-edit-btn')?.classList.toggle('active', !!this.target);
+    document.getElementById('path-node-buttons')?.classList.toggle('hidden', !this.target);
+
+    const anchor = this.getSelectedAnchor();
+    ['path-delete-node-btn', 'path-corner-btn', 'path-smooth-btn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !anchor;
+    });
+    document.getElementById('path-corner-btn')?.classList.toggle('active', !!anchor && !anchor.smooth);
+    document.getElementById('path-smooth-btn')?.classList.toggle('active', !!anchor?.smooth);
+  }
+
+  getSelectedAnchor() {
+    if (!this.selected) return null;
+    return this.subpaths[this.selected.subpath]?.anchors[this.selected.index] || null;
+  }
+
+  /**
+   * 路径坐标 -> 画布（屏幕）坐标
+   */
+  toCanvasPoint(point) {
+    const path = this.target;
+    return new fabric.Point(point.x - path.pathOffset.x, point.y - path.pathOffset.y).transform(
+      fabric.util.multiplyTransformMatrices(path.getViewportTransform(), path.calcTransformMatrix())
+    );
+  }
+
+  /**
+   * 场景坐标 -> 路径坐标
+   */
+  toPathPoint(point) {
+    const path = this.target;
+    const local = fabric.util.sendPointToPlane(new fabric.Point(point.x, point.y), undefined, path.calcTransformMatrix());
+    return { x: local.x + path.pathOffset.x, y: local.y + path.pathOffset.y };
+  }
+
+  /**
+   * 为每个锚点和控制柄创建控制点
+   */
+  createControls() {
+    const controls = {};
+    this.subpaths.forEach(({ anchors }, subpath) => {
+      anchors.forEach((anchor, index) => {
+        controls[`a_${subpath}_${index}`] = this.createAnchorControl(subpath, index);
+        // 转换节点类型后控制点会重新创建，这里只需要为已有的控制柄创建
+        ['in', 'out'].forEach(side => {
+          if (anchor[side]) controls[`${side}_${subpath}_${index}`] = this.createHandleControl(subpath, index, side);
+        });
+      });
+    });
+    return controls;
+  }
+
+  createAnchorControl(subpath, index) {
+    const getAnchor = () => this.subpaths[subpath].anchors[index];
+    const size = PathEditManager.ANCHOR_SIZE;
+
+    return new fabric.Control({
+      sizeX: size,
+      sizeY: size,
+      touchSizeX: size * 2,
+      touchSizeY: size * 2,
+      cursorStyle: 'pointer',
+      actionName: 'modifyPath',
+      positionHandler: () => this.toCanvasPoint(getAnchor()),
+      mouseDownHandler: (eventData) => {
+        this.selected = { subpath, index };
+        if (eventData.altKey) this.convertAnchor(!getAnchor().smooth);
+        this.updateButtons();
+        return false;
+      },
+      actionHandler: (eventData, transform, x, y) => {
+        const anchor = getAnchor();
+        const point = this.toPathPoint({ x, y });
+        const dx = point.x - anchor.x;
+        const dy = point.y - anchor.y;
+        anchor.x = point.x;
+        anchor.y = point.y;
+        // 控制柄随锚点一起移动
+        [anchor.in, anchor.out].forEach(handle => {
+          if (!handle) return;
+          handle.x += dx;
+          handle.y += dy;
+        });
+        this.writePath();
+        return true;
+      },
+      render: (ctx, left, top) => {
+        const isSelected = this.selected?.subpath === subpath && this.selected?.index === index;
+        ctx.save();
+        ctx.fillStyle = isSelected ? PathEditManager.COLOR : '#ffffff';
+        ctx.strokeStyle = PathEditManager.COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.fillRect(left - size / 2, top - size / 2, size, size);
+        ctx.strokeRect(left - size / 2, top - size / 2, size, size);
+        ctx.restore();
+      }
+    });
+  }
+
+  createHandleControl(subpath, index, side) {
+    const getAnchor = () => this.subpaths[subpath].anchors[index];
+    const size = PathEditManager.HANDLE_SIZE;
+
+    return new fabric.Control({
+      sizeX: size,
+      sizeY: size,
+      touchSizeX: size * 2,
+      touchSizeY: size * 2,
+      cursorStyle: 'crosshair',
+      actionName: 'modifyPath',
+      // 只显示选中锚点及其相邻锚点朝向它的控制柄
+      getVisibility: () => {
+        if (!getAnchor()[side] || !this.selected || this.selected.subpath !== subpath) return false;
+        const { anchors, closed } = this.subpaths[subpath];
+        const offset = side === 'in' ? -1 : 1;
+        const neighbor = closed
+          ? (this.selected.index - offset + anchors.length) % anchors.length
+          : this.selected.index - offset;
+        return index === this.selected.index || index === neighbor;
+      },
+      positionHandler: () => this.toCanvasPoint(getAnchor()[side] || getAnchor()),
+      actionHandler: (eventData, transform, x, y) => {
+        const anchor = getAnchor();
+        const point = this.toPathPoint({ x, y });
+        anchor[side] = point;
+
+        // 平滑点的另一侧控制柄保持共线，长度不变
+        const opposite = side === 'in' ? 'out' : 'in';
+        if (anchor.smooth && anchor[opposite]) {
+          const length = Math.hypot(anchor[opposite].x - anchor.x, anchor[opposite].y - anchor.y);
+          const dx = anchor.x - point.x;
+          const dy = anchor.y - point.y;
+          const distance = Math.hypot(dx, dy);
+          if (distance > EPSILON) {
+            anchor[opposite] = { x: anchor.x + dx / distance * length, y: anchor.y + dy / distance * length };
+          }
+        }
+        this.writePath();
+        return true;
+      },
+      render: (ctx, left, top) => {
+        const anchor = this.toCanvasPoint(getAnchor());
+        ctx.save();
+        ctx.strokeStyle = PathEditManager.COLOR;
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(anchor.x, anchor.y);
+        ctx.lineTo(left, top);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(left, top, size / 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+      }
+    });
+  }
+
+  /**
+   * 将锚点列表写回路径
+   */
+  writePath() {
+    setPathCommands(this.target, anchorsToPath(this.subpaths));
+  }
+
+  /**
+   * 提交修改：刷新控制点、通知绑定的文本并记录历史
+   */
+  commit() {
+    const path = this.target;
+    // 先替换控制点，写回路径时按新的锚点计算控制点位置
+    path.controls = this.createControls();
+    this.writePath();
+    path.fire('modified', { target: path });
+    this.canvas.fire('object:modified', { target: path });
+    this.canvas.requestRenderAll();
+    this.updateButtons();
+  }
+
+  /**
+   * 在选中锚点之后的线段中点添加节点（没有选中时使用第一条子路径的最后一段）
+   */
+  addAnchor() {
+    if (!this.target) return;
+
+    const { subpath, index } = this.selected || { subpath: 0, index: this.subpaths[0].anchors.length - 2 };
+    const { anchors, closed } = this.subpaths[subpath];
+    const isLast = index >= anchors.length - 1;
+    if (isLast && !closed) {
+      this.editor.showToast('请选择路径中间或起点处的节点', 'error');
+      return;
+    }
+
+    this.insertAnchor(subpath, index, 0.5);
+  }
+
+  /**
+   * 在离画布上的点最近的位置添加节点
+   */
+  addAnchorAt(scenePoint) {
+    const point = this.toPathPoint(scenePoint);
+    let best = null;
+
+    this.subpaths.forEach(({ anchors, closed }, subpath) => {
+      const count = closed ? anchors.length : anchors.length - 1;
+      for (let index = 0; index < count; index++) {
+        const from = anchors[index];
+        const to = anchors[(index + 1) % anchors.length];
+        // 采样找到最近的参数位置
+        for (let step = 1; step < 32; step++) {
+          const t = step / 32;
+          const sample = pointOnSegment(from, to, t);
+          const distance = Math.hypot(sample.x - point.x, sample.y - point.y);
+          if (!best || distance < best.distance) best = { subpath, index, t, distance };
+        }
+      }
+    });
+
+    if (best) this.insertAnchor(best.subpath, best.index, best.t);
+  }
+
+  insertAnchor(subpath, index, t) {
+    const { anchors } = this.subpaths[subpath];
+    const from = anchors[index];
+    const to = anchors[(index + 1) % anchors.length];
+    const anchor = splitSegment(from, to, t);
+
+    anchors.splice(index + 1, 0, anchor);
+    this.selected = { subpath, index: index + 1 };
+    this.commit();
+  }
+
+  deleteAnchor() {
+    if (!this.hasSelectedAnchor()) return;
+
+    const { subpath, index } = this.selected;
+    const { anchors } = this.subpaths[subpath];
+    if (anchors.length <= 2 && this.subpaths.length === 1) {
+      this.editor.showToast('路径至少需要两个节点', 'error');
+      return;
+    }
+
+    anchors.splice(index, 1);
+    if (anchors.length < 2) {
+      // 只剩一个节点的子路径整个移除
+      this.subpaths.splice(subpath, 1);
+    }
+    this.selected = null;
+    this.commit();
+  }
+
+  /**
+   * 在角点（无控制柄）和平滑点（控制柄沿相邻锚点方向）之间转换
+   */
+  convertAnchor(smooth) {
+    const anchor = this.getSelectedAnchor();
+    if (!anchor) return;
+
+    if (!smooth) {
+      anchor.in = null;
+      anchor.out = null;
+      anchor.smooth = false;
+    } else {
+      const { anchors, closed } = this.subpaths[this.selected.subpath];
+      const { index } = this.selected;
+      const previous = anchors[index - 1] || (closed ? anchors[anchors.length - 1] : null);
+      const next = anchors[index + 1] || (closed ? anchors[0] : null);
+      const from = previous || anchor;
+      const to = next || anchor;
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const length = Math.hypot(dx, dy);
+      if (length < EPSILON) return;
+
+      // 控制柄长度取到相邻锚点距离的三分之一
+      const ux = dx / length;
+      const uy = dy / length;
+      const inLength = previous ? Math.hypot(anchor.x - previous.x, anchor.y - previous.y) / 3 : 0;
+      const outLength = next ? Math.hypot(next.x - anchor.x, next.y - anchor.y) / 3 : 0;
+      anchor.in = previous ? { x: anchor.x - ux * inLength, y: anchor.y - uy * inLength } : null;
+      anchor.out = next ? { x: anchor.x + ux * outLength, y: anchor.y + uy * outLength } : null;
+      anchor.smooth = true;
+    }
+    this.commit();
+  }
+}
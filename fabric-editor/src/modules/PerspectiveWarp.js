@@ -0,0 +1,140 @@
+/**
+ * 求解线性方程组 A·x = b（高斯消元，列主元）
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) {
+      throw new Error('四个角点共线，无法计算透视变换');
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= m[row][k] * x[k];
+    }
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * 计算把 from 四个点映射到 to 四个点的单应矩阵（3×3，按行展开，h33 = 1）
+ * @param {Array<{x: number, y: number}>} from
+ * @param {Array<{x: number, y: number}>} to
+ */
+export function computeHomography(from, to) {
+  const A = [];
+  const b = [];
+
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  }
+
+  return [...solveLinearSystem(A, b), 1];
+}
+
+/**
+ * 计算四边形校正后的输出尺寸（取对边长度的较大值）
+ * @param {Array<{x: number, y: number}>} quad 左上、右上、右下、左下
+ */
+export function getRectifiedSize(quad) {
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const [tl, tr, br, bl] = quad;
+  return {
+    width: Math.max(1, Math.round(Math.max(distance(tl, tr), distance(bl, br)))),
+    height: Math.max(1, Math.round(Math.max(distance(tl, bl), distance(tr, br))))
+  };
+}
+
+/**
+ * 将源图中的四边形区域透视校正为矩形
+ * @param {HTMLImageElement|HTMLCanvasElement} source 源图
+ * @param {Array<{x: number, y: number}>} quad 源图像素坐标下的四个角点（左上、右上、右下、左下）
+ * @param {number} width 输出宽度
+ * @param {number} height 输出高度
+ * @returns {HTMLCanvasElement}
+ */
+export function warpPerspective(source, quad, width, height) {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+
+  const sourceCanvas = document.createElement('canvas');
+  sourceCanvas.width = sourceWidth;
+  sourceCanvas.height = sourceHeight;
+  const sourceCtx = sourceCanvas.getContext('2d');
+  sourceCtx.drawImage(source, 0, 0);
+  const src = sourceCtx.getImageData(0, 0, sourceWidth, sourceHeight).data;
+
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const outputCtx = output.getContext('2d');
+  const imageData = outputCtx.createImageData(width, height);
+  const dst = imageData.data;
+
+  // 输出矩形 -> 源图四边形
+  const h = computeHomography([
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: height },
+    { x: 0, y: height }
+  ], quad);
+
+  const maxX = sourceWidth - 1;
+  const maxY = sourceHeight - 1;
+
+  for (let y = 0; y < height; y++) {
+    const dy = y + 0.5;
+    for (let x = 0; x < width; x++) {
+      const dx = x + 0.5;
+      const w = h[6] * dx + h[7] * dy + h[8];
+      const sx = Math.min(maxX, Math.max(0, (h[0] * dx + h[1] * dy + h[2]) / w - 0.5));
+      const sy = Math.min(maxY, Math.max(0, (h[3] * dx + h[4] * dy + h[5]) / w - 0.5));
+
+      // 双线性插值
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(maxX, x0 + 1);
+      const y1 = Math.min(maxY, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+
+      const i00 = (y0 * sourceWidth + x0) * 4;
+      const i10 = (y0 * sourceWidth + x1) * 4;
+      const i01 = (y1 * sourceWidth + x0) * 4;
+      const i11 = (y1 * sourceWidth + x1) * 4;
+      const o = (y * width + x) * 4;
+
+      for (let c = 0; c < 4; c++) {
+        const top = src[i00 + c] + (src[i10 + c] - src[i00 + c]) * fx;
+        const bottom = src[i01 + c] + (src[i11 + c] - src[i01 + c]) * fx;
+        dst[o + c] = top + (bottom - top) * fy;
+      }
+    }
+  }
+
+  outputCtx.putImageData(imageData, 0, 0);
+  return output;
+}
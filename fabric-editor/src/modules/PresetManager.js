@@ -0,0 +1,312 @@
+import * as fabric from 'fabric';
+
+// 用户预设在 localStorage 中的键
+const STORAGE_KEY = 'fabric-editor-filter-presets';
+
+// 导出文件的格式标识
+const PRESET_FORMAT = 'fabric-editor-filter-presets';
+
+/**
+ * Preset Manager - 滤镜预设
+ *
+ * 预设保存 FilterManager.getSettings() 的结果，一键应用到当前图片。
+ * 内置预设不可删除，用户预设保存在 localStorage 中，可导出为 JSON。
+ */
+export class PresetManager {
+  static BUILT_IN_PRESETS = [
+    {
+      id: 'builtin-warm',
+      name: '暖色',
+      builtIn: true,
+      settings: {
+        filters: { brightness: 0.03, saturation: 0.1, tint: 0.15 },
+        tintColor: '#ff9900',
+        tone: null
+      }
+    },
+    {
+      id: 'builtin-bw',
+      name: '黑白',
+      builtIn: true,
+      settings: {
+        filters: { grayscale: 1, contrast: 0.15 },
+        tone: null
+      }
+    },
+    {
+      id: 'builtin-faded',
+      name: '褪色',
+      builtIn: true,
+      settings: {
+        filters: { saturation: -0.3, contrast: -0.1 },
+        tone: {
+          curves: { rgb: [[0, 32], [128, 132], [255, 232]] },
+          levels: { black: 0, white: 255, gamma: 1.1 }
+        }
+      }
+    }
+  ];
+
+  // 预览缩略图的最大边长
+  static THUMBNAIL_SIZE = 64;
+
+  constructor(editor) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.userPresets = this.loadUserPresets();
+
+    this.setupEventListeners();
+    this.renderPresets();
+  }
+
+  setupEventListeners() {
+    const saveFromInput = () => {
+      const input = document.getElementById('preset-name');
+      this.saveCurrentAsPreset(input?.value);
+      if (input) input.value = '';
+    };
+
+    document.getElementById('save-preset-btn')?.addEventListener('click', saveFromInput);
+
+    // 在名称输入框中按 Enter 保存
+    document.getElementById('preset-name')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        saveFromInput();
+      }
+    });
+
+    document.getElementById('export-presets-btn')?.addEventListener('click', () => {
+      this.exportPresets();
+    });
+
+    document.getElementById('import-presets-btn')?.addEventListener('click', () => {
+      document.getElementById('preset-input')?.click();
+    });
+
+    document.getElementById('preset-input')?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.importPresets(file);
+      e.target.value = '';
+    });
+  }
+
+  getPresets() {
+    return [...PresetManager.BUILT_IN_PRESETS, ...this.userPresets];
+  }
+
+  loadUserPresets() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored.filter(preset => this.isValidPreset(preset)) : [];
+    } catch (error) {
+      console.error('读取滤镜预设失败:', error);
+      return [];
+    }
+  }
+
+  storeUserPresets() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.userPresets));
+    } catch (error) {
+      console.error('保存滤镜预设失败:', error);
+      this.editor.showToast('保存预设失败: ' + error.message, 'error');
+    }
+  }
+
+  isValidPreset(preset) {
+    return !!preset && typeof preset.name === 'string' && !!preset.name &&
+      !!preset.settings && typeof preset.settings.filters === 'object';
+  }
+
+  createPresetId() {
+    return `preset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * 把当前滑块、色阶与曲线保存为预设
+   */
+  saveCurrentAsPreset(name) {
+    name = (name || '').trim();
+    if (!name) {
+      this.editor.showToast('请输入预设名称', 'error');
+      return;
+    }
+
+    const settings = this.editor.filterManager.getSettings();
+    const defaults = this.editor.filterManager.getDefaultFilters();
+
+    // 只保存调整过的滑块
+    const filters = Object.fromEntries(
+      Object.entries(settings.filters).filter(([key, value]) => value !== defaults[key])
+    );
+    if (Object.keys(filters).length === 0 && !settings.tone) {
+      this.editor.showToast('当前没有调整任何滤镜', 'error');
+      return;
+    }
+
+    this.userPresets.push({
+      id: this.createPresetId(),
+      name,
+      settings: { ...settings, filters }
+    });
+    this.storeUserPresets();
+    this.renderPresets();
+    this.editor.showToast(`已保存预设「${name}」`, 'success');
+  }
+
+  deletePreset(id) {
+    this.userPresets = this.userPresets.filter(preset => preset.id !== id);
+    this.storeUserPresets();
+    this.renderPresets();
+  }
+
+  /**
+   * 将预设应用到选中的所有图片（作为一次历史记录）
+   */
+  applyPreset(preset) {
+    if (this.editor.filterManager.getFilterTargets().length === 0) {
+      this.editor.showToast('请先选择图片', 'error');
+      return;
+    }
+
+    this.editor.filterManager.applySettings(preset.settings);
+    this.editor.history.saveState();
+    this.editor.showToast(`已应用预设「${preset.name}」`, 'success');
+  }
+
+  exportPresets() {
+    if (this.userPresets.length === 0) {
+      this.editor.showToast('没有可导出的自定义预设', 'error');
+      return;
+    }
+
+    const data = {
+      format: PRESET_FORMAT,
+      version: 1,
+      presets: this.userPresets.map(({ name, settings }) => ({ name, settings }))
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.download = `filter-presets-${Date.now()}.json`;
+    link.href = url;
+    link.click();
+
+    URL.revokeObjectURL(url);
+    this.editor.showToast('预设已导出', 'success');
+  }
+
+  async importPresets(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      if (data?.format !== PRESET_FORMAT || !Array.isArray(data.presets)) {
+        throw new Error('不是滤镜预设文件');
+      }
+
+      const presets = data.presets.filter(preset => this.isValidPreset(preset));
+      if (presets.length === 0) {
+        throw new Error('文件中没有有效的预设');
+      }
+
+      presets.forEach(({ name, settings }) => {
+        this.userPresets.push({ id: this.createPresetId(), name, settings });
+      });
+      this.storeUserPresets();
+      this.renderPresets();
+      this.editor.showToast(`已导入 ${presets.length} 个预设`, 'success');
+    } catch (error) {
+      console.error('导入预设失败:', error);
+      this.editor.showToast('导入预设失败: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * 将当前图片缩小后作为预览的底图
+   */
+  createPreviewSource(image) {
+    const element = image._originalElement || image.getElement();
+    const sourceWidth = element.naturalWidth || element.width;
+    const sourceHeight = element.naturalHeight || element.height;
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const scale = Math.min(1, PresetManager.THUMBNAIL_SIZE / Math.max(sourceWidth, sourceHeight));
+    const source = document.createElement('canvas');
+    source.width = Math.max(1, Math.round(sourceWidth * scale));
+    source.height = Math.max(1, Math.round(sourceHeight * scale));
+    source.getContext('2d').drawImage(element, 0, 0, source.width, source.height);
+    return source;
+  }
+
+  /**
+   * 用预设的滤镜渲染缩略图
+   */
+  renderThumbnail(source, preset) {
+    const preview = new fabric.FabricImage(source);
+    preview.filters = this.editor.filterManager.buildFilters(preset.settings);
+    preview.applyFilters();
+    return preview.getElement().toDataURL('image/png');
+  }
+
+  /**
+   * 渲染预设列表（有选中图片时显示预览缩略图）
+   */
+  renderPresets() {
+    const list = document.getElementById('filter-presets');
+    if (!list) return;
+
+    // 多选时以第一张图片作为预览
+    const [image] = this.editor.filterManager.getFilterTargets();
+    let source = null;
+    if (image) {
+      try {
+        source = this.createPreviewSource(image);
+      } catch (error) {
+        console.warn('无法生成预设预览:', error);
+      }
+    }
+
+    list.innerHTML = '';
+
+    this.getPresets().forEach(preset => {
+      const item = document.createElement('div');
+      item.className = 'preset-item';
+      item.title = preset.name;
+
+      const thumbnail = document.createElement('div');
+      thumbnail.className = 'preset-thumbnail';
+      if (source) {
+        try {
+          const img = document.createElement('img');
+          img.src = this.renderThumbnail(source, preset);
+          img.alt = preset.name;
+          thumbnail.appendChild(img);
+        } catch (error) {
+          console.warn('渲染预设预览失败:', error);
+        }
+      }
+      item.appendChild(thumbnail);
+
+      const name = document.createElement('span');
+      name.className = 'preset-name';
+      name.textContent = preset.name;
+      item.appendChild(name);
+
+      if (!preset.builtIn) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'preset-delete';
+        deleteBtn.title = '删除预设';
+        deleteBtn.innerHTML = '&times;';
+        deleteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.deletePreset(preset.id);
+        });
+        item.appendChild(deleteBtn);
+      }
+
+      item.addEventListener('click', () => this.applyPreset(preset));
+      list.appendChild(item);
+    });
+  }
+}
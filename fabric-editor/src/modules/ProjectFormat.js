@@ -0,0 +1,164 @@
+import { version as EDITOR_VERSION } from '../../package.json';
+
+export { EDITOR_VERSION };
+
+// 项目文件格式标识与当前版本
+export const PROJECT_FORMAT = 'fabric-editor-project';
+export const PROJECT_VERSION = 2;
+
+/**
+ * 项目文件格式错误（message 中包含出错的位置）
+ */
+export class ProjectFormatError extends Error {
+  constructor(message, path = '') {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'ProjectFormatError';
+    this.path = path;
+  }
+}
+
+/**
+ * 版本迁移：键为源版本，函数返回升级到下一版本的数据
+ */
+const MIGRATIONS = {
+  // 版本 1：直接保存的 Fabric JSON（可能带有 assets），没有画布尺寸
+  1: (json) => {
+    const { objects, background, assets } = json;
+    return {
+      format: PROJECT_FORMAT,
+      version: 2,
+      editorVersion: null,
+      canvas: {
+        width: null,
+        height: null,
+        background: background ?? null
+      },
+      metadata: {},
+      objects: (objects || []).map(migrateLegacyObject),
+      assets: assets || {}
+    };
+  }
+};
+
+/**
+ * 补全旧版本对象缺失的自定义属性
+ */
+function migrateLegacyObject(obj) {
+  if (!obj || typeof obj !== 'object') return obj;
+
+  // 早期气泡未记录 _shapeType，只能通过气泡尺寸属性识别
+  if (obj._bubbleWidth !== undefined && !obj._shapeType) {
+    obj._shapeType = 'bubble';
+  }
+  if (Array.isArray(obj.objects)) {
+    obj.objects = obj.objects.map(migrateLegacyObject);
+  }
+  return obj;
+}
+
+/**
+ * 识别项目文件版本（没有格式标识的视为版本 1）
+ */
+export function detectProjectVersion(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new ProjectFormatError('项目文件内容必须是对象');
+  }
+  if (json.format === undefined) {
+    if (!Array.isArray(json.objects)) {
+      throw new ProjectFormatError('缺少 objects 数组，不是编辑器项目文件');
+    }
+    return 1;
+  }
+  if (json.format !== PROJECT_FORMAT) {
+    throw new ProjectFormatError(`未知的文件格式 "${json.format}"`, 'format');
+  }
+  if (!Number.isInteger(json.version) || json.version < 1) {
+    throw new ProjectFormatError('版本号无效', 'version');
+  }
+  return json.version;
+}
+
+/**
+ * 将项目文件逐版本升级到当前版本
+ */
+export function migrateProject(json) {
+  let version = detectProjectVersion(json);
+
+  if (version > PROJECT_VERSION) {
+    const editor = json.editorVersion ? `（编辑器 ${json.editorVersion}）` : '';
+    throw new ProjectFormatError(`项目文件版本 ${version}${editor} 高于当前支持的版本 ${PROJECT_VERSION}，请升级编辑器`);
+  }
+
+  let project = json;
+  while (version < PROJECT_VERSION) {
+    project = MIGRATIONS[version](project);
+    version = project.version;
+  }
+  return project;
+}
+
+/**
+ * 校验当前版本的项目结构，发现问题时抛出带位置的错误
+ */
+export function validateProject(project) {
+  const { canvas, objects, assets, metadata } = project;
+
+  if (!canvas || typeof canvas !== 'object') {
+    throw new ProjectFormatError('缺少画布信息', 'canvas');
+  }
+  ['width', 'height'].forEach(key => {
+    const value = canvas[key];
+    if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+      throw new ProjectFormatError(`应为正数，实际为 ${JSON.stringify(value)}`, `canvas.${key}`);
+    }
+  });
+
+  if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+    throw new ProjectFormatError('应为对象', 'metadata');
+  }
+
+  if (typeof assets !== 'object' || assets === null || Array.isArray(assets)) {
+    throw new ProjectFormatError('应为对象', 'assets');
+  }
+  Object.entries(assets).forEach(([id, src]) => {
+    if (typeof src !== 'string') {
+      throw new ProjectFormatError('图片资源应为字符串', `assets.${id}`);
+    }
+  });
+
+  if (!Array.isArray(objects)) {
+    throw new ProjectFormatError('应为数组', 'objects');
+  }
+  objects.forEach((obj, index) => validateObject(obj, `objects[${index}]`, assets));
+
+  return project;
+}
+
+/**
+ * 校验单个对象（递归检查组内对象）
+ */
+function validateObject(obj, path, assets) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new ProjectFormatError('应为对象', path);
+  }
+  if (typeof obj.type !== 'string' || !obj.type) {
+    throw new ProjectFormatError('缺少对象类型 type', path);
+  }
+
+  if (obj.type.toLowerCase() === 'image') {
+    if (obj.assetId !== undefined) {
+      if (!(obj.assetId in assets)) {
+        throw new ProjectFormatError(`缺少图片资源 ${obj.assetId}`, path);
+      }
+    } else if (typeof obj.src !== 'string') {
+      throw new ProjectFormatError('图片缺少 src', path);
+    }
+  }
+
+  if (obj.objects !== undefined) {
+    if (!Array.isArray(obj.objects)) {
+      throw new ProjectFormatError('应为数组', `${path}.objects`);
+    }
+    obj.objects.forEach((child, index) => validateObject(child, `${path}.objects[${index}]`, assets));
+  }
+}
@@ -507,11 +507,12 @@ export class PropertiesManager {
         textProps.classList.toggle('hidden', !this.isTextObject(obj));
       }
 
-      // 显示图片滤镜面板
+      // 显示图片滤镜面板（单张图片，或包含图片的多选、组合）
       const imageFilters = document.getElementById('image-filters');
       if (imageFilters) {
-        imageFilters.classList.toggle('hidden', obj.type !== 'image');
-        if (obj.type === 'image') {
+        const hasImages = this.editor.filterManager.getFilterTargets(obj).length > 0;
+        imageFilters.classList.toggle('hidden', !hasImages);
+        if (hasImages) {
           this.editor.filterManager.updateFilterUI(obj);
         }
       }
@@ -0,0 +1,173 @@
+/**
+ * Shape Manager - 多边形、星形等参数化形状
+ *
+ * 多边形、星形、菱形和标注框用 fabric.Polygon 绘制，顶点由形状类型和参数生成；
+ * 圆角矩形是带 rx/ry 的 fabric.Rect。选中这些形状时可在属性面板中修改参数，
+ * 修改后的参数同时作为之后新建形状的默认值。
+ */
+
+// 由顶点生成的形状类型
+export const POLYGON_SHAPE_TYPES = ['polygon', 'star', 'diamond', 'callout'];
+
+/**
+ * 正多边形的单位顶点，从正上方开始顺时针排列
+ * radii 依次循环使用，星形交替使用外半径和内半径
+ */
+function radialPoints(count, radii) {
+  return Array.from({ length: count }, (_, i) => {
+    const angle = -Math.PI / 2 + (i * 2 * Math.PI) / count;
+    const radius = radii[i % radii.length];
+    return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+  });
+}
+
+/**
+ * 把顶点等比例拉伸到 width × height 的范围内（相对左上角）
+ */
+function fitPoints(points, width, height) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX || 1;
+  const spanY = Math.max(...ys) - minY || 1;
+  return points.map(p => ({
+    x: ((p.x - minX) / spanX) * width,
+    y: ((p.y - minY) / spanY) * height
+  }));
+}
+
+/**
+ * 生成形状在 width × height 范围内的顶点
+ * @param {string} shapeType - polygon / star / diamond / callout
+ * @param {{sides?: number, points?: number, innerRadius?: number}} params - 边数、星形角数、内半径比例（0-1）
+ */
+export function createShapePoints(shapeType, width, height, params = {}) {
+  switch (shapeType) {
+    case 'polygon':
+      return fitPoints(radialPoints(params.sides || 6, [1]), width, height);
+
+    case 'star':
+      return fitPoints(radialPoints((params.points || 5) * 2, [1, params.innerRadius ?? 0.5]), width, height);
+
+    case 'diamond':
+      return [
+        { x: width / 2, y: 0 },
+        { x: width, y: height / 2 },
+        { x: width / 2, y: height },
+        { x: 0, y: height / 2 }
+      ];
+
+    case 'callout': {
+      // 左侧带指示尖角的标注框
+      const pointer = Math.min(width * 0.25, height * 0.5);
+      return [
+        { x: pointer, y: 0 },
+        { x: width, y: 0 },
+        { x: width, y: height },
+        { x: pointer, y: height },
+        { x: pointer, y: height * 0.7 },
+        { x: 0, y: height / 2 },
+        { x: pointer, y: height * 0.3 }
+      ];
+    }
+
+    default:
+      throw new Error(`未知的形状类型: ${shapeType}`);
+  }
+}
+
+/**
+ * 按形状记录的参数重新生成顶点并更新尺寸（位置需要由调用方设置）
+ */
+export function updateShapePoints(shape, width, height) {
+  const points = createShapePoints(shape._shapeType, width, height, {
+    sides: shape._sides,
+    points: shape._starPoints,
+    innerRadius: shape._innerRadius
+  });
+  shape.set({ points });
+  shape.setDimensions();
+}
+
+export class ShapeManager {
+  // 可编辑参数：对应的对象属性、适用的形状类型、属性面板中的输入框和显示倍数
+  static PARAMS = [
+    { key: 'sides', prop: '_sides', types: ['polygon'], input: 'prop-shape-sides' },
+    { key: 'points', prop: '_starPoints', types: ['star'], input: 'prop-shape-points' },
+    { key: 'innerRadius', prop: '_innerRadius', types: ['star'], input: 'prop-shape-inner-radius', scale: 100, unit: '%' },
+    { key: 'cornerRadius', prop: 'rx', types: ['roundRect'], input: 'prop-shape-corner-radius', unit: 'px' }
+  ];
+
+  constructor(editor) {
+    this.editor = editor;
+    this.canvas = editor.canvas;
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    ShapeManager.PARAMS.forEach(param => {
+      document.getElementById(param.input)?.addEventListener('input', (e) => {
+        this.setParam(param, parseFloat(e.target.value) / (param.scale || 1));
+      });
+    });
+
+    this.canvas.on('selection:created', () => this.updatePanel());
+    this.canvas.on('selection:updated', () => this.updatePanel());
+    this.canvas.on('selection:cleared', () => this.updatePanel());
+  }
+
+  getParams(obj) {
+    if (!obj || obj.group) return [];
+    return ShapeManager.PARAMS.filter(param => param.types.includes(obj._shapeType));
+  }
+
+  /**
+   * 修改选中形状的参数，保持形状中心不变
+   */
+  setParam(param, value) {
+    const shape = this.canvas.getActiveObject();
+    if (!this.getParams(shape).includes(param)) return;
+
+    this.editor.tools.shapeSettings[param.key] = value;
+
+    if (param.prop === 'rx') {
+      shape.set({ rx: value, ry: value });
+    } else {
+      const center = shape.getCenterPoint();
+      shape.set(param.prop, value);
+      updateShapePoints(shape, shape.width, shape.height);
+      shape.setPositionByOrigin(center, 'center', 'center');
+    }
+    shape.setCoords();
+
+    if (shape._boundText) {
+      this.editor.tools.updateTextPositionForShape(shape, shape._boundText);
+    }
+    this.updateValueLabel(param, value);
+    this.canvas.requestRenderAll();
+    this.editor.history.saveState();
+  }
+
+  updateValueLabel(param, value) {
+    const label = document.getElementById(`${param.input}-value`);
+    if (label) label.textContent = `${Math.round(value * (param.scale || 1))}${param.unit || ''}`;
+  }
+
+  updatePanel() {
+    const shape = this.canvas.getActiveObject();
+    const params = this.getParams(shape);
+    document.getElementById('shape-params-group')?.classList.toggle('hidden', params.length === 0);
+
+    ShapeManager.PARAMS.forEach(param => {
+      const input = document.getElementById(param.input);
+      const enabled = params.includes(param);
+      input?.closest('.property-row')?.classList.toggle('hidden', !enabled);
+      if (!enabled) return;
+
+      const value = shape[param.prop] ?? this.editor.tools.shapeSettings[param.key];
+      if (input) input.value = Math.round(value * (param.scale || 1));
+      this.updateValueLabel(param, value);
+    });
+  }
+}
@@ -1,9 +1,28 @@
 import * as fabric from 'fabric';
+import { Redact } from './ImageFilters.js';
+import { anchorsToPath } from './PathEditManager.js';
+import { POLYGON_SHAPE_TYPES, updateShapePoints } from './ShapeManager.js';
+
+let objectIdCounter = 0;
 
 /**
  * Tools Manager - 工具管理系统
  */
 export class ToolsManager {
+  // 可以绑定内嵌文本的形状类型
+  static BINDABLE_SHAPE_TYPES = [
+    'bubble', 'rect', 'circle', 'triangle', 'roundRect', 'polygon', 'star', 'diamond', 'callout'
+  ];
+
+  // 拖动绘制、完成后添加绑定文本的形状工具
+  static TEXT_SHAPE_TOOLS = ['rect', 'circle', 'triangle', 'roundRect', 'polygon', 'star', 'diamond', 'callout'];
+
+  // 遮盖工具框选、涂抹时的预览颜色
+  static REDACT_PREVIEW_COLOR = 'rgba(79, 70, 229, 0.35)';
+
+  // 钢笔工具点击起点闭合路径的距离（屏幕像素）
+  static PEN_CLOSE_DISTANCE = 8;
+
   constructor(editor) {
     this.editor = editor;
     this.canvas = editor.canvas;
@@ -12,6 +31,11 @@ export class ToolsManager {
     this.startPoint = null;
     this.currentShape = null;
 
+    // 钢笔工具：已放置的锚点（画布坐标）、是否正在拖出控制柄、预览路径
+    this.penAnchors = [];
+    this.isDraggingPenHandle = false;
+    this.penPreview = null;
+
     this.brushSettings = {
       color: '#000000',
       width: 5
@@ -28,6 +52,23 @@ export class ToolsManager {
       borderStyle: 'solid' // solid, dashed, dotted
     };
 
+    // 遮盖工具设置（尺寸以画布坐标计）
+    this.redactSettings = {
+      mode: 'rect', // rect 框选, brush 涂抹
+      style: 'pixelate', // pixelate 马赛克, blur 模糊, solid 纯色
+      color: '#000000',
+      size: 12, // 马赛克块大小或模糊半径
+      brushWidth: 30
+    };
+
+    // 参数化形状的默认参数（选中形状修改参数时同步更新）
+    this.shapeSettings = {
+      sides: 6, // 多边形边数
+      points: 5, // 星形角数
+      innerRadius: 0.5, // 星形内半径与外半径之比
+      cornerRadius: 16 // 圆角矩形圆角半径
+    };
+
     this.setupTools();
   }
 
@@ -73,13 +114,104 @@ export class ToolsManager {
       });
     }
 
+    this.setupRedactSettings();
+
+    // 为所有加入画布的对象分配唯一ID（图片、画笔路径、粘贴的对象等）
+    this.canvas.on('object:added', (opt) => this.assignObjectId(opt.target));
+
     // 图形绘制事件
     this.canvas.on('mouse:down', (opt) => this.onMouseDown(opt));
     this.canvas.on('mouse:move', (opt) => this.onMouseMove(opt));
     this.canvas.on('mouse:up', (opt) => this.onMouseUp(opt));
+
+    this.canvas.on('mouse:dblclick', () => {
+      if (this.currentTool === 'pen') this.onPenDoubleClick();
+    });
+    this.canvas.on('after:render', ({ ctx }) => {
+      if (this.penAnchors.length > 0 && ctx === this.canvas.getContext()) this.renderPenAnchors(ctx);
+    });
+
+    // 钢笔工具：Enter/Esc 完成路径，Backspace/Delete 撤回上一个锚点
+    document.addEventListener('keydown', (e) => {
+      if (this.currentTool !== 'pen' || this.penAnchors.length === 0) return;
+      if (this.editor.isTypingTarget(e.target)) return;
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        e.preventDefault();
+        this.finishPenPath(false);
+      } else if (e.key === 'Backspace' || e.key === 'Delete') {
+        e.preventDefault();
+        this.penAnchors.pop();
+        this.updatePenPreview();
+      }
+    });
+
+    // 遮盖工具的涂抹轨迹转换为遮盖区域
+    this.canvas.on('path:created', ({ path }) => {
+      if (this.currentTool === 'redact') this.finalizeRedactStroke(path);
+    });
+  }
+
+  setupRedactSettings() {
+    document.querySelectorAll('[data-redact-mode]').forEach(btn => {
+      btn.addEventListener('click', () => this.setRedactMode(btn.dataset.redactMode));
+    });
+
+    document.querySelectorAll('[data-redact-style]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.redactSettings.style = btn.dataset.redactStyle;
+        this.syncRedactInputs();
+      });
+    });
+
+    document.getElementById('redact-color')?.addEventListener('input', (e) => {
+      this.redactSettings.color = e.target.value;
+    });
+
+    document.getElementById('redact-size')?.addEventListener('input', (e) => {
+      this.redactSettings.size = parseInt(e.target.value);
+      this.syncRedactInputs();
+    });
+
+    document.getElementById('redact-brush-width')?.addEventListener('input', (e) => {
+      this.redactSettings.brushWidth = parseInt(e.target.value);
+      if (this.currentTool === 'redact' && this.canvas.isDrawingMode) {
+        this.canvas.freeDrawingBrush.width = this.redactSettings.brushWidth;
+        this.updateBrushCursor();
+      }
+      this.syncRedactInputs();
+    });
+  }
+
+  /**
+   * 生成唯一对象ID
+   */
+  createObjectId() {
+    return `obj_${Date.now().toString(36)}_${(objectIdCounter++).toString(36)}`;
+  }
+
+  /**
+   * 确保对象拥有画布内唯一的ID（缺失或重复时重新分配）
+   */
+  assignObjectId(obj) {
+    if (!obj || obj.excludeFromExport) return;
+
+    const isDuplicate = obj.id && this.canvas.getObjects().some(other => other !== obj && other.id === obj.id);
+    if (!obj.id || isDuplicate) {
+      obj.id = this.createObjectId();
+    }
   }
 
   setTool(toolName) {
+    // 切换到其他工具时退出裁剪，恢复图片原来的裁剪区域
+    if (toolName !== 'crop' && this.editor.cropManager?.isInCropMode()) {
+      this.editor.cropManager.cancelCrop();
+    }
+
+    // 离开钢笔工具时完成正在绘制的路径
+    if (this.currentTool === 'pen' && this.penAnchors.length > 0) {
+      this.finishPenPath(false);
+    }
+
     this.currentTool = toolName;
 
     // 更新工具栏UI
@@ -126,6 +258,11 @@ export class ToolsManager {
       case 'rect':
       case 'circle':
       case 'triangle':
+      case 'roundRect':
+      case 'polygon':
+      case 'star':
+      case 'diamond':
+      case 'callout':
       case 'line':
       case 'arrow':
         this.canvas.selection = false;
@@ -143,6 +280,27 @@ export class ToolsManager {
         this.setTool('select');
         break;
 
+      case 'pen':
+        // 在已有对象上点击也是放置锚点
+        this.canvas.selection = false;
+        this.canvas.defaultCursor = 'crosshair';
+        this.canvas.forEachObject(obj => {
+          obj.selectable = false;
+          obj.evented = false;
+        });
+        break;
+
+      case 'redact':
+        // 遮盖时在图片上拖动不选中、不移动对象
+        this.canvas.selection = false;
+        this.canvas.forEachObject(obj => {
+          obj.selectable = false;
+          obj.evented = false;
+        });
+        this.showPanel('redact-settings');
+        this.setRedactMode(this.redactSettings.mode);
+        break;
+
       case 'crop':
         // 裁剪需要先获取选中的图片，不能取消选择
         const activeObject = this.canvas.getActiveObject();
@@ -181,6 +339,11 @@ export class ToolsManager {
         this.canvas.freeDrawingBrush.color = '#ffffff';
         this.canvas.freeDrawingBrush.width = this.brushSettings.width;
       }
+    } else if (mode === 'redact') {
+      // 涂抹轨迹只用于确定遮盖范围，松开后移除
+      this.canvas.freeDrawingBrush = new fabric.PencilBrush(this.canvas);
+      this.canvas.freeDrawingBrush.color = ToolsManager.REDACT_PREVIEW_COLOR;
+      this.canvas.freeDrawingBrush.width = this.redactSettings.brushWidth;
     }
 
     // 设置画笔光标显示半径
@@ -191,8 +354,8 @@ export class ToolsManager {
    * 更新画笔光标以显示半径
    */
   updateBrushCursor() {
-    const width = this.brushSettings.width;
-    const color = this.currentTool === 'eraser' ? '#888888' : this.brushSettings.color;
+    const width = this.currentTool === 'redact' ? this.redactSettings.brushWidth : this.brushSettings.width;
+    const color = ['eraser', 'redact'].includes(this.currentTool) ? '#888888' : this.brushSettings.color;
 
     // 创建圆形光标的 canvas
     const cursorSize = Math.max(width, 4);
@@ -221,7 +384,7 @@ export class ToolsManager {
   }
 
   hideAllPanels() {
-    ['brush-settings', 'crop-panel'].forEach(id => {
+    ['brush-settings', 'redact-settings', 'crop-panel'].forEach(id => {
       const panel = document.getElementById(id);
       if (panel) panel.classList.add('hidden');
     });
@@ -236,14 +399,14 @@ export class ToolsManager {
     // 如果点击了现有对象，不创建新形状，而是选中该对象
     if (opt.target) {
       // 点击了现有对象，切换到选择模式
-      if (['rect', 'circle', 'triangle', 'line', 'arrow', 'text', 'bubble'].includes(this.currentTool)) {
+      if ([...ToolsManager.TEXT_SHAPE_TOOLS, 'line', 'arrow', 'text', 'bubble'].includes(this.currentTool)) {
         this.canvas.setActiveObject(opt.target);
         this.canvas.renderAll();
         return;
       }
     }
 
-    if (['rect', 'circle', 'triangle', 'line', 'arrow'].includes(this.currentTool)) {
+    if ([...ToolsManager.TEXT_SHAPE_TOOLS, 'line', 'arrow'].includes(this.currentTool)) {
       this.isDrawingShape = true;
       const pointer = this.canvas.getPointer(opt.e);
       this.startPoint = { x: pointer.x, y: pointer.y };
@@ -260,6 +423,14 @@ export class ToolsManager {
       const pointer = this.canvas.getPointer(opt.e);
       this.startPoint = { x: pointer.x, y: pointer.y };
       this.createBubble(pointer);
+    } else if (this.currentTool === 'pen') {
+      this.onPenMouseDown(this.canvas.getPointer(opt.e));
+    } else if (this.currentTool === 'redact' && !this.canvas.isDrawingMode) {
+      // 框选遮盖区域
+      this.isDrawingShape = true;
+      const pointer = this.canvas.getPointer(opt.e);
+      this.startPoint = { x: pointer.x, y: pointer.y };
+      this.createRedactRect(pointer);
     } else if (this.currentTool === 'hand') {
       this.editor.isPanning = true;
       this.canvas.defaultCursor = 'grabbing';
@@ -267,6 +438,10 @@ export class ToolsManager {
   }
 
   onMouseMove(opt) {
+    if (this.currentTool === 'pen') {
+      this.onPenMouseMove(this.canvas.getPointer(opt.e));
+      return;
+    }
     if (!this.isDrawingShape || !this.currentShape) return;
 
     const pointer = this.canvas.getPointer(opt.e);
@@ -283,7 +458,9 @@ export class ToolsManager {
         this.finalizeTextBox();
       } else if (this.currentTool === 'bubble') {
         this.finalizeBubble();
-      } else if (['rect', 'circle', 'triangle'].includes(this.currentTool)) {
+      } else if (this.currentTool === 'redact') {
+        this.finalizeRedactRect();
+      } else if (ToolsManager.TEXT_SHAPE_TOOLS.includes(this.currentTool)) {
         this.finalizeShapeWithText();
       } else {
         this.currentShape.setCoords();
@@ -294,6 +471,10 @@ export class ToolsManager {
       this.startPoint = null;
     }
 
+    if (this.currentTool === 'pen') {
+      this.isDraggingPenHandle = false;
+    }
+
     if (this.currentTool === 'hand') {
       this.editor.isPanning = false;
       this.canvas.defaultCursor = 'grab';
@@ -303,6 +484,7 @@ export class ToolsManager {
   createShape(pointer) {
     let shape;
     const commonProps = {
+      id: this.createObjectId(),
       left: pointer.x,
       top: pointer.y,
       fill: this.textShapeDefaults.fillColor,
@@ -340,8 +522,47 @@ export class ToolsManager {
         });
         break;
 
+      case 'roundRect':
+        shape = new fabric.Rect({
+          ...commonProps,
+          width: 0,
+          height: 0,
+          rx: this.shapeSettings.cornerRadius,
+          ry: this.shapeSettings.cornerRadius,
+          _shapeType: 'roundRect'
+        });
+        break;
+
+      // 顶点在拖动时按尺寸生成
+      case 'polygon':
+        shape = new fabric.Polygon([], {
+          ...commonProps,
+          _shapeType: 'polygon',
+          _sides: this.shapeSettings.sides
+        });
+        break;
+
+      case 'star':
+        shape = new fabric.Polygon([], {
+          ...commonProps,
+          strokeLineJoin: 'round',
+          _shapeType: 'star',
+          _starPoints: this.shapeSettings.points,
+          _innerRadius: this.shapeSettings.innerRadius
+        });
+        break;
+
+      case 'diamond':
+      case 'callout':
+        shape = new fabric.Polygon([], {
+          ...commonProps,
+          _shapeType: this.currentTool
+        });
+        break;
+
       case 'line':
         shape = new fabric.Line([pointer.x, pointer.y, pointer.x, pointer.y], {
+          id: this.createObjectId(),
           stroke: '#000000',
           strokeWidth: 2,
           selectable: true
@@ -380,6 +601,7 @@ export class ToolsManager {
     });
 
     const group = new fabric.Group([line, arrowHead], {
+      id: this.createObjectId(),
       selectable: true,
       name: 'arrow'
     });
@@ -394,6 +616,8 @@ export class ToolsManager {
 
     switch (this.currentTool) {
       case 'rect':
+      case 'roundRect':
+      case 'redact':
         if (width < 0) {
           this.currentShape.set('left', pointer.x);
           this.currentShape.set('width', Math.abs(width));
@@ -434,6 +658,17 @@ export class ToolsManager {
         }
         break;
 
+      case 'polygon':
+      case 'star':
+      case 'diamond':
+      case 'callout':
+        updateShapePoints(this.currentShape, Math.abs(width), Math.abs(height));
+        this.currentShape.set({
+          left: Math.min(startX, pointer.x),
+          top: Math.min(startY, pointer.y)
+        });
+        break;
+
       case 'line':
         this.currentShape.set({ x2: pointer.x, y2: pointer.y });
         break;
@@ -468,6 +703,7 @@ export class ToolsManager {
    */
   createTextBox(pointer) {
     const textbox = new fabric.Textbox('', {
+      id: this.createObjectId(),
       left: pointer.x,
       top: pointer.y,
       width: 150,
@@ -590,6 +826,7 @@ export class ToolsManager {
     const bubblePath = this.createBubblePath(0, 0, defaultWidth, defaultHeight, 10, tailSize);
 
     const bubble = new fabric.Path(bubblePath, {
+      id: this.createObjectId(),
       left: pointer.x,
       top: pointer.y,
       fill: this.textShapeDefaults.fillColor,
@@ -698,7 +935,7 @@ export class ToolsManager {
   }
 
   /**
-   * 完成形状创建（矩形、圆形、三角形）并添加绑定文本
+   * 完成形状创建（矩形、圆形、三角形、多边形等）并添加绑定文本
    */
   finalizeShapeWithText() {
     const shape = this.currentShape;
@@ -717,6 +954,11 @@ export class ToolsManager {
         shape.set('ry', 40);
         height = 80;
       }
+    } else if (POLYGON_SHAPE_TYPES.includes(shape._shapeType)) {
+      // 顶点需要按最小尺寸重新生成
+      width = shape.width < 60 ? 100 : shape.width;
+      height = shape.height < 40 ? 80 : shape.height;
+      updateShapePoints(shape, width, height);
     } else {
       width = shape.width;
       height = shape.height;
@@ -746,6 +988,7 @@ export class ToolsManager {
 
     // 创建内嵌文本框 - 透明背景和边框
     const textbox = new fabric.Textbox('', {
+      id: this.createObjectId(),
       originX: 'center',
       originY: 'center',
       width: Math.max(width * 0.8, 50),
@@ -776,18 +1019,95 @@ export class ToolsManager {
 
     this.canvas.add(textbox);
 
-    // 建立双向关联
+    // 建立双向关联并绑定联动事件
+    this.linkShapeText(shape, textbox);
+
+    this.canvas.setActiveObject(shape);
+    this.canvas.renderAll();
+  }
+
+  /**
+   * 建立形状（含气泡）与文本的双向关联，关联以ID形式随对象一起序列化
+   */
+  linkShapeText(shape, textbox) {
     shape._boundText = textbox;
-    textbox._boundShape = shape;
+    shape._boundTextId = textbox.id;
+    textbox._boundShapeId = shape.id;
+
+    if (shape._shapeType === 'bubble') {
+      // 气泡绑定
+      textbox._boundBubble = shape;
+      this.bindBubbleTextEvents(shape, textbox);
+      this.setupBubbleTextEvents(textbox);
+    } else {
+      // 形状绑定（rect, circle, triangle, polygon 等）
+      textbox._boundShape = shape;
+      this.bindShapeTextEvents(shape, textbox);
+      this.setupShapeTextEvents(textbox);
+    }
+  }
 
-    // 绑定形状事件 - 文本跟随
-    this.bindShapeTextEvents(shape, textbox);
+  /**
+   * 恢复形状和文本的绑定关系（撤销/重做、加载项目后调用）
+   * 优先按序列化的ID精确关联；没有ID的旧项目按最近距离匹配
+   */
+  restoreShapeTextBindings() {
+    const bindableShapes = [];  // 包括 bubble 和 BINDABLE_SHAPE_TYPES 中的其他形状
+    const shapeTexts = [];      // 包括 bubbleText, shapeText
+
+    // 找出所有尚未绑定的形状和形状文本
+    this.canvas.forEachObject(obj => {
+      if (ToolsManager.BINDABLE_SHAPE_TYPES.includes(obj._shapeType)) {
+        if (!obj._boundText) bindableShapes.push(obj);
+      } else if (['bubbleText', 'shapeText'].includes(obj._shapeType)) {
+        if (!obj._boundBubble && !obj._boundShape) shapeTexts.push(obj);
+      }
+    });
 
-    // 绑定文本编辑事件
-    this.setupShapeTextEvents(textbox);
+    const bind = (shape, text) => {
+      // 设置文本属性
+      text.set({
+        hasControls: false,
+        hasBorders: false,
+        lockMovementX: true,
+        lockMovementY: true
+      });
+      this.linkShapeText(shape, text);
+      shapeTexts.splice(shapeTexts.indexOf(text), 1);
+    };
 
-    this.canvas.setActiveObject(shape);
-    this.canvas.renderAll();
+    // 按ID精确绑定
+    const legacyShapes = [];
+    bindableShapes.forEach(shape => {
+      if (!shape._boundTextId) {
+        legacyShapes.push(shape);
+        return;
+      }
+      const text = shapeTexts.find(t => t.id === shape._boundTextId);
+      if (text) bind(shape, text);
+    });
+
+    // 旧项目：为每个形状找到最近的、未声明归属的文本
+    legacyShapes.forEach(shape => {
+      const shapeCenter = shape.getCenterPoint();
+      let closestText = null;
+      let minDistance = Infinity;
+
+      shapeTexts.forEach(text => {
+        if (text._boundShapeId) return;
+        const textCenter = text.getCenterPoint();
+        const distance = Math.sqrt(
+          Math.pow(shapeCenter.x - textCenter.x, 2) +
+          Math.pow(shapeCenter.y - textCenter.y, 2)
+        );
+        if (distance < minDistance) {
+          minDistance = distance;
+          closestText = text;
+        }
+      });
+
+      if (closestText) bind(shape, closestText);
+    });
   }
 
   /**
@@ -892,6 +1212,7 @@ export class ToolsManager {
 
     // 创建内嵌文本框 - 透明背景和边框
     const textbox = new fabric.Textbox('点击输入文本', {
+      id: this.createObjectId(),
       originX: 'center',
       originY: 'center',
       width: width - 30,
@@ -923,15 +1244,8 @@ export class ToolsManager {
 
     this.canvas.add(textbox);
 
-    // 建立双向关联
-    bubble._boundText = textbox;
-    textbox._boundBubble = bubble;
-
-    // 绑定气泡事件 - 文本跟随
-    this.bindBubbleTextEvents(bubble, textbox);
-
-    // 绑定文本编辑事件
-    this.setupBubbleTextEvents(textbox);
+    // 建立双向关联并绑定联动事件
+    this.linkShapeText(bubble, textbox);
 
     this.canvas.setActiveObject(bubble);
     this.canvas.renderAll();
@@ -1007,9 +1321,9 @@ export class ToolsManager {
       bubble.set({ borderColor: '#4f46e5' });
     });
 
-    // 双击气泡进入文本编辑
+    // 双击气泡进入文本编辑（编辑节点时双击用于添加节点）
     bubble.on('mousedblclick', () => {
-      if (textbox) {
+      if (textbox && !self.editor.pathEditor?.isEditing(bubble)) {
         self.canvas.setActiveObject(textbox);
         textbox.enterEditing();
         textbox.selectAll();
@@ -1072,6 +1386,7 @@ export class ToolsManager {
 
   addText(pointer) {
     const text = new fabric.IText('双击编辑文本', {
+      id: this.createObjectId(),
       left: pointer.x,
       top: pointer.y,
       fontSize: 24,
@@ -1085,4 +1400,287 @@ export class ToolsManager {
     this.editor.history.saveState();
     this.setTool('select');
   }
+
+  /**
+   * 钢笔工具按下：点击起点闭合路径，否则添加锚点（按住拖动拉出控制柄）
+   */
+  onPenMouseDown(pointer) {
+    const [first] = this.penAnchors;
+    if (this.penAnchors.length >= 2 && this.isNearPenAnchor(first, pointer)) {
+      this.finishPenPath(true);
+      return;
+    }
+
+    this.penAnchors.push({ x: pointer.x, y: pointer.y, in: null, out: null });
+    this.isDraggingPenHandle = true;
+    this.penPointer = pointer;
+    this.updatePenPreview();
+  }
+
+  onPenMouseMove(pointer) {
+    if (this.penAnchors.length === 0) return;
+
+    this.penPointer = pointer;
+    if (this.isDraggingPenHandle) {
+      // 控制柄左右对称，锚点成为平滑点；拖动距离很小时仍为角点
+      const anchor = this.penAnchors[this.penAnchors.length - 1];
+      const isDragged = Math.hypot(pointer.x - anchor.x, pointer.y - anchor.y) * this.canvas.getZoom() > 2;
+      anchor.out = isDragged ? { x: pointer.x, y: pointer.y } : null;
+      anchor.in = isDragged ? { x: anchor.x * 2 - pointer.x, y: anchor.y * 2 - pointer.y } : null;
+    }
+    this.updatePenPreview();
+  }
+
+  /**
+   * 双击结束开放路径（双击的第二次按下会在同一位置多放一个锚点，先移除）
+   */
+  onPenDoubleClick() {
+    const count = this.penAnchors.length;
+    if (count >= 2 && this.isNearPenAnchor(this.penAnchors[count - 2], this.penAnchors[count - 1])) {
+      this.penAnchors.pop();
+    }
+    this.finishPenPath(false);
+  }
+
+  isNearPenAnchor(anchor, pointer) {
+    const distance = Math.hypot(pointer.x - anchor.x, pointer.y - anchor.y) * this.canvas.getZoom();
+    return distance <= ToolsManager.PEN_CLOSE_DISTANCE;
+  }
+
+  /**
+   * 重新生成预览路径（未拖动控制柄时连到鼠标位置）
+   */
+  updatePenPreview() {
+    if (this.penPreview) {
+      this.canvas.remove(this.penPreview);
+      this.penPreview = null;
+    }
+
+    if (this.penAnchors.length > 0) {
+      const anchors = this.isDraggingPenHandle || !this.penPointer
+        ? this.penAnchors
+        : [...this.penAnchors, { x: this.penPointer.x, y: this.penPointer.y, in: null, out: null }];
+      this.penPreview = new fabric.Path(anchorsToPath([{ closed: false, anchors }]), {
+        fill: '',
+        stroke: this.textShapeDefaults.borderColor,
+        strokeWidth: this.textShapeDefaults.borderWidth,
+        selectable: false,
+        evented: false,
+        objectCaching: false,
+        excludeFromExport: true
+      });
+      this.canvas.add(this.penPreview);
+    }
+    this.canvas.requestRenderAll();
+  }
+
+  /**
+   * 完成钢笔路径，少于两个锚点时放弃
+   */
+  finishPenPath(closed) {
+    const anchors = this.penAnchors;
+    this.penAnchors = [];
+    this.isDraggingPenHandle = false;
+    this.penPointer = null;
+    this.updatePenPreview();
+
+    if (anchors.length < 2) return;
+
+    const path = new fabric.Path(anchorsToPath([{ closed, anchors }]), {
+      id: this.createObjectId(),
+      fill: closed ? this.textShapeDefaults.fillColor : '',
+      stroke: this.textShapeDefaults.borderColor,
+      strokeWidth: this.textShapeDefaults.borderWidth,
+      strokeLineCap: 'round',
+      strokeLineJoin: 'round',
+      // 与钢笔工具下的其他对象一致，切换回选择工具后可选中
+      selectable: this.currentTool !== 'pen',
+      evented: this.currentTool !== 'pen'
+    });
+    this.canvas.add(path);
+    this.canvas.requestRenderAll();
+    this.editor.history.saveState();
+  }
+
+  /**
+   * 绘制钢笔工具已放置的锚点和最后一个锚点的控制柄
+   */
+  renderPenAnchors(ctx) {
+    const zoom = this.canvas.getZoom();
+    const size = 6 / zoom;
+    const last = this.penAnchors[this.penAnchors.length - 1];
+    const [first] = this.penAnchors;
+    const canClose = this.penAnchors.length >= 2 && this.penPointer && this.isNearPenAnchor(first, this.penPointer);
+
+    ctx.save();
+    ctx.transform(...this.canvas.viewportTransform);
+    ctx.lineWidth = 1 / zoom;
+    ctx.strokeStyle = '#4f46e5';
+
+    [last.in, last.out].forEach(handle => {
+      if (!handle) return;
+      ctx.beginPath();
+      ctx.moveTo(last.x, last.y);
+      ctx.lineTo(handle.x, handle.y);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(handle.x, handle.y, size / 2, 0, Math.PI * 2);
+      ctx.fillStyle = '#ffffff';
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    this.penAnchors.forEach(anchor => {
+      // 鼠标靠近起点时高亮，提示点击可以闭合
+      ctx.fillStyle = anchor === last || (anchor === first && canClose) ? '#4f46e5' : '#ffffff';
+      ctx.fillRect(anchor.x - size / 2, anchor.y - size / 2, size, size);
+      ctx.strokeRect(anchor.x - size / 2, anchor.y - size / 2, size, size);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * 切换遮盖工具的框选/涂抹方式
+   */
+  setRedactMode(mode) {
+    this.redactSettings.mode = mode;
+    if (this.currentTool === 'redact') {
+      if (mode === 'brush') {
+        this.enableDrawingMode('redact');
+      } else {
+        this.canvas.isDrawingMode = false;
+        this.canvas.defaultCursor = 'crosshair';
+      }
+    }
+    this.syncRedactInputs();
+  }
+
+  syncRedactInputs() {
+    const { mode, style, size, brushWidth } = this.redactSettings;
+    document.querySelectorAll('[data-redact-mode]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.redactMode === mode);
+    });
+    document.querySelectorAll('[data-redact-style]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.redactStyle === style);
+    });
+    document.getElementById('redact-size-row')?.classList.toggle('hidden', style === 'solid');
+    document.getElementById('redact-color-row')?.classList.toggle('hidden', style !== 'solid');
+    document.getElementById('redact-brush-row')?.classList.toggle('hidden', mode !== 'brush');
+
+    const sizeValue = document.getElementById('redact-size-value');
+    if (sizeValue) sizeValue.textContent = `${size}px`;
+    const brushWidthValue = document.getElementById('redact-brush-width-value');
+    if (brushWidthValue) brushWidthValue.textContent = `${brushWidth}px`;
+  }
+
+  createRedactRect(pointer) {
+    this.currentShape = new fabric.Rect({
+      left: pointer.x,
+      top: pointer.y,
+      width: 0,
+      height: 0,
+      originX: 'left',
+      originY: 'top',
+      fill: ToolsManager.REDACT_PREVIEW_COLOR,
+      stroke: '#4f46e5',
+      strokeWidth: 1,
+      strokeDashArray: [4, 4],
+      strokeUniform: true,
+      selectable: false,
+      evented: false,
+      excludeFromExport: true
+    });
+    this.canvas.add(this.currentShape);
+  }
+
+  finalizeRedactRect() {
+    const { left, top, width, height } = this.currentShape;
+    this.canvas.remove(this.currentShape);
+
+    // 只是点击没有拖动时不遮盖
+    if (width < 2 || height < 2) return;
+
+    this.applyRedaction('rect', [
+      [left, top], [left + width, top], [left + width, top + height], [left, top + height]
+    ]);
+  }
+
+  finalizeRedactStroke(path) {
+    this.canvas.remove(path);
+
+    // 用路径命令中的各个坐标点组成的折线近似笔画
+    const matrix = path.calcTransformMatrix();
+    const points = [];
+    path.path.forEach(command => {
+      for (let i = 1; i + 1 < command.length; i += 2) {
+        const point = new fabric.Point(command[i] - path.pathOffset.x, command[i + 1] - path.pathOffset.y);
+        const { x, y } = fabric.util.transformPoint(point, matrix);
+        points.push([x, y]);
+      }
+    });
+
+    this.applyRedaction('stroke', points, path.strokeWidth);
+    this.editor.history.saveState();
+  }
+
+  /**
+   * 为画布坐标中的遮盖区域下方的所有图片（包括组合中的图片）添加遮盖滤镜
+   * 旋转的图片上框选区域取四角的外接矩形，遮盖范围只会更大
+   */
+  applyRedaction(shape, points, lineWidth = 0) {
+    const { style, color, size } = this.redactSettings;
+    const images = this.canvas.getObjects().flatMap(obj => this.editor.filterManager.getFilterTargets(obj));
+    let count = 0;
+
+    images.forEach(image => {
+      const matrix = image.calcTransformMatrix();
+      const inverse = fabric.util.invertTransform(matrix);
+      const element = image._originalElement || image.getElement();
+      const sourceWidth = element.naturalWidth || element.width;
+      const sourceHeight = element.naturalHeight || element.height;
+      const longSide = Math.max(sourceWidth, sourceHeight);
+      const { scaleX, scaleY } = fabric.util.qrDecompose(matrix);
+      const scale = (Math.abs(scaleX) + Math.abs(scaleY)) / 2;
+
+      // 换算为相对原图宽高的坐标
+      let local = points.map(([x, y]) => {
+        const point = fabric.util.transformPoint(new fabric.Point(x, y), inverse);
+        return [
+          (point.x + image.width / 2 + (image.cropX || 0)) / sourceWidth,
+          (point.y + image.height / 2 + (image.cropY || 0)) / sourceHeight
+        ];
+      });
+      const xs = local.map(([x]) => x);
+      const ys = local.map(([, y]) => y);
+      if (shape === 'rect') {
+        local = [[Math.min(...xs), Math.min(...ys)], [Math.max(...xs), Math.max(...ys)]];
+      }
+
+      // 跳过与图片可见区域不相交的遮盖
+      const padX = lineWidth / scale / 2 / sourceWidth;
+      const padY = lineWidth / scale / 2 / sourceHeight;
+      const visibleLeft = (image.cropX || 0) / sourceWidth;
+      const visibleTop = (image.cropY || 0) / sourceHeight;
+      if (Math.max(...xs) + padX <= visibleLeft || Math.min(...xs) - padX >= visibleLeft + image.width / sourceWidth ||
+        Math.max(...ys) + padY <= visibleTop || Math.min(...ys) - padY >= visibleTop + image.height / sourceHeight) {
+        return;
+      }
+
+      image.filters = [...(image.filters || []), new Redact({
+        shape,
+        points: local,
+        lineWidth: lineWidth / scale / longSide,
+        style,
+        size: size / scale / longSide,
+        color
+      })];
+      this.editor.filterManager.renderImage(image);
+      count++;
+    });
+
+    if (count === 0) {
+      this.editor.showToast('请在图片上框选或涂抹要遮盖的区域', 'error');
+    }
+    this.canvas.renderAll();
+  }
 }
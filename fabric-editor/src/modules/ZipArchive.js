@@ -0,0 +1,179 @@
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable = null;
+
+/**
+ * 计算 CRC-32 校验值
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 将日期转换为 DOS 时间/日期格式
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * 解压 deflate 数据（使用浏览器内置的 DecompressionStream）
+ */
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('当前浏览器不支持解压缩');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 创建 zip 文件（不压缩存储，图片原样写入）
+ * @param {Array<{name: string, data: Uint8Array|string}>} files
+ * @returns {Blob}
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const parts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, METHOD_STORE, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, METHOD_STORE, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    parts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIR_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * 判断数据是否为 zip 文件
+ */
+export function isZip(buffer) {
+  return buffer.byteLength >= 4 &&
+    new DataView(buffer).getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+}
+
+/**
+ * 读取 zip 文件，返回 文件名 -> 文件内容 的 Map
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Map<string, Uint8Array>>}
+ */
+export async function readZip(buffer) {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // 从文件末尾查找中央目录结束记录（可能带有注释）
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIR_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('不是有效的 zip 文件');
+  }
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('zip 文件目录已损坏');
+    }
+
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    // 目录条目没有内容
+    if (name.endsWith('/')) continue;
+
+    const dataOffset = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataOffset, compressedSize);
+
+    if (method === METHOD_STORE) {
+      files.set(name, data);
+    } else if (method === METHOD_DEFLATE) {
+      files.set(name, await inflateRaw(data));
+    } else {
+      throw new Error(`不支持的压缩方式: ${name}`);
+    }
+  }
+
+  return files;
+}